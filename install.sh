@@ -168,13 +168,19 @@ if [ ! -f package.json ]; then
   "scripts": {
     "vibecode:setup": "node .vibecode/scripts/setup.js",
     "vibecode:init": "node .vibecode/scripts/init.js",
-    "vibecode:analyze": "node .vibecode/orchestrator/analyzer.js"
+    "vibecode:analyze": "node .vibecode/scripts/analyze.js",
+    "vibecode:route": "node .vibecode/scripts/route.js",
+    "vibecode:stats": "node .vibecode/scripts/stats.js",
+    "vibecode:learn": "node .vibecode/scripts/learn.js",
+    "vibecode:corpus": "node .vibecode/scripts/corpus.js",
+    "vibecode:session": "node .vibecode/scripts/session.js"
   },
   "devDependencies": {
     "chalk": "^5.3.0",
     "inquirer": "^9.2.12",
     "glob": "^10.3.10",
-    "js-yaml": "^4.1.0"
+    "js-yaml": "^4.1.0",
+    "minimatch": "^9.0.4"
   }
 }
 EOF
@@ -187,13 +193,18 @@ else
     pkg.scripts = pkg.scripts || {};
     pkg.scripts['vibecode:setup'] = 'node .vibecode/scripts/setup.js';
     pkg.scripts['vibecode:init'] = 'node .vibecode/scripts/init.js';
-    pkg.scripts['vibecode:analyze'] = 'node .vibecode/orchestrator/analyzer.js';
+    pkg.scripts['vibecode:analyze'] = 'node .vibecode/scripts/analyze.js';
+    pkg.scripts['vibecode:route'] = 'node .vibecode/scripts/route.js';
+    pkg.scripts['vibecode:stats'] = 'node .vibecode/scripts/stats.js';
+    pkg.scripts['vibecode:learn'] = 'node .vibecode/scripts/learn.js';
+    pkg.scripts['vibecode:corpus'] = 'node .vibecode/scripts/corpus.js';
+    pkg.scripts['vibecode:session'] = 'node .vibecode/scripts/session.js';
     fs.writeFileSync('package.json', JSON.stringify(pkg, null, 2));
     "
 
     # Install dependencies
     echo -e "${GREEN}  Installing dependencies...${NC}"
-    npm install chalk@5.3.0 inquirer@9.2.12 glob@10.3.10 js-yaml@4.1.0
+    npm install chalk@5.3.0 inquirer@9.2.12 glob@10.3.10 js-yaml@4.1.0 minimatch@9.0.4
 fi
 
 # Update .gitignore
@@ -211,6 +222,9 @@ if ! grep -q ".vibecode/cache" .gitignore; then
     echo ".vibecode/temp/" >> .gitignore
     echo ".vibecode/logs/" >> .gitignore
 fi
+if ! grep -q ".vibecode/session.json" .gitignore; then
+    echo ".vibecode/session.json" >> .gitignore
+fi
 
 # Check for required CLIs
 echo ""
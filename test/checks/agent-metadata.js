@@ -0,0 +1,19 @@
+import { cpSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { AgentRouter } from '../../vibecode/orchestrator/router.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const BUNDLED_AGENTS_DIR = join(__dirname, '..', '..', 'vibecode', 'agents');
+
+/**
+ * Load the bundled agent specs plus the ones written under agents/ and route
+ * input.task (touching input.touched) with them; returns the plan, each
+ * phase's agents sorted
+ */
+export default async function agentMetadata(input, { root }) {
+  cpSync(BUNDLED_AGENTS_DIR, join(root, 'agents'), { recursive: true, force: false });
+  const router = new AgentRouter({ agentsDir: join(root, 'agents'), projectRoot: root, projectConfig: false });
+  const result = router.route(input.task, { files: input.touched, log: false, session: false, inferChain: false });
+  return { plan: result.executionPlan.map(phase => [...phase.agents].sort()) };
+}
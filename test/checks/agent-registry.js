@@ -0,0 +1,18 @@
+import { join } from 'path';
+import { AgentRegistry, agentSourceDirs } from '../../vibecode/orchestrator/agent-registry.js';
+
+/**
+ * Resolve input.agents against agent files written under bundled/, home/
+ * and project/, with input.sources and input.fallbacks
+ */
+export default async function agentRegistry(input, { root }) {
+  const registry = new AgentRegistry({
+    dirs: agentSourceDirs({ agentsDir: join(root, 'bundled'), projectRoot: join(root, 'project'), home: join(root, 'home') }),
+    ...(input.sources && { sources: input.sources }),
+    fallbacks: input.fallbacks || {}
+  });
+  return Object.fromEntries(input.agents.map(agent => {
+    const { agent: runsAs, id, source, missing } = registry.resolve(agent);
+    return [agent, { runsAs, id, source, missing }];
+  }));
+}
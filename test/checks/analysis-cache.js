@@ -0,0 +1,19 @@
+import { ProjectAnalyzer } from '../../vibecode/orchestrator/analyzer.js';
+import { ANALYSIS_CACHE_PATH } from '../../vibecode/orchestrator/analysis-cache.js';
+import { writeFiles } from '../../vibecode/orchestrator/corpus.js';
+
+/**
+ * Analyze with the cache twice, write input.change and analyze again
+ */
+export default async function analysisCache(input, { root }) {
+  const analyze = async () => {
+    const analyzer = new ProjectAnalyzer(root, { cache: ANALYSIS_CACHE_PATH });
+    const { features, backend } = await analyzer.analyze();
+    return { cached: analyzer.cached, backend, features };
+  };
+
+  const first = await analyze();
+  const rerun = await analyze();
+  writeFiles(root, input.change);
+  return { first, rerun, changed: await analyze() };
+}
@@ -0,0 +1,25 @@
+import { spawnSync } from 'child_process';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const VIBECODE_DIR = join(__dirname, '..', '..', 'vibecode');
+
+// How a project's package.json may run the analyze command
+const ANALYZE_ENTRIES = {
+  script: join(VIBECODE_DIR, 'scripts', 'analyze.js'),
+  analyzer: join(VIBECODE_DIR, 'orchestrator', 'analyzer.js')
+};
+
+/**
+ * Run the analyze command on the project with input.args, through
+ * input.entry (script, or analyzer for older installs)
+ */
+export default async function analyzeCli(input, { root }) {
+  const entry = ANALYZE_ENTRIES[input.entry || 'script'];
+  const { status, stdout } = spawnSync(process.execPath, [entry, '--root', root, ...(input.args || [])], {
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  return { status, printed: stdout.trim().length > 0 };
+}
@@ -0,0 +1,20 @@
+import { fitPlanToBudget } from '../../vibecode/orchestrator/context-budget.js';
+
+/**
+ * Fit input.plan into input.limit tokens by merging phases; input.tokens
+ * gives each agent's spec size, input.dependencies what each agent waits on
+ */
+export default async function budgetMerge(input) {
+  const { plan, limit, tokens, dependencies = {}, handoffTokens = 400 } = input;
+  const specs = Object.fromEntries(Object.entries(tokens).map(([agent, size]) => [
+    agent, { tokens: size, trimmedTokens: size, sections: [] }
+  ]));
+  const { phases, report } = fitPlanToBudget(plan, {
+    limit,
+    specs,
+    strategies: ['merge'],
+    handoffTokens,
+    dependsOn: (agent, other) => (dependencies[agent] || []).includes(other)
+  });
+  return { phases, within: report.within, cuts: report.cuts };
+}
@@ -0,0 +1,38 @@
+import { resolve } from 'path';
+import { ContentScanner } from '../../vibecode/orchestrator/content-scanner.js';
+import { writeFiles } from '../../vibecode/orchestrator/corpus.js';
+
+/**
+ * Scan input.scan with the scanner options in input, scan input.rerun (or
+ * input.scan again), write input.change and scan input.scan a third time;
+ * `cached` tells which results of the second scan were not read again
+ */
+export default async function contentScanner(input, { root }) {
+  const { maxBytes, maxFiles, importRules } = input;
+  const scanner = new ContentScanner({ root, maxBytes, maxFiles, importRules });
+  const describe = results => results.map(({ file, skipped, truncated, hits }) => ({
+    file,
+    ...(skipped && { skipped }),
+    ...(truncated && { truncated }),
+    rules: hits.map(hit => hit.rule)
+  }));
+
+  const reads = new Set();
+  const readHead = scanner.readHead.bind(scanner);
+  scanner.readHead = (path, size) => {
+    reads.add(path);
+    return readHead(path, size);
+  };
+
+  const first = scanner.scan(input.scan);
+  reads.clear();
+  const rerun = scanner.scan(input.rerun || input.scan);
+  const cached = rerun.map(result => !result.skipped && !reads.has(resolve(root, result.file)));
+  writeFiles(root, input.change);
+  return {
+    first: describe(first),
+    rerun: describe(rerun),
+    cached,
+    changed: describe(scanner.scan(input.scan))
+  };
+}
@@ -0,0 +1,12 @@
+import { join } from 'path';
+import { readDecisionLog, summarizeDecisions, DECISION_LOG_PATH } from '../../vibecode/orchestrator/decision-log.js';
+
+/**
+ * Read the project's routing log and summarize it; returns the number of
+ * skipped lines, the decisions read and the agents they picked, most picked first
+ */
+export default async function decisionLog(input, { root }) {
+  const { entries, malformed } = readDecisionLog(join(root, DECISION_LOG_PATH));
+  const summary = summarizeDecisions(entries);
+  return { malformed, decisions: summary.decisions, agents: summary.agents.map(({ name, count }) => `${name}: ${count}`) };
+}
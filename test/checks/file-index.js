@@ -0,0 +1,13 @@
+import { FileIndex } from '../../vibecode/orchestrator/file-index.js';
+
+/**
+ * Index the project with input.ignore and input.maxDepth; returns the
+ * listed files (not folders) and why the walk stopped early, if it did
+ */
+export default async function fileIndex(input, { root }) {
+  const index = new FileIndex(root, { ignore: input.ignore, maxDepth: input.maxDepth }).build();
+  return {
+    files: index.paths.filter(path => !index.dirs.has(path)),
+    truncated: index.stats.truncated
+  };
+}
@@ -0,0 +1,36 @@
+import { execFileSync } from 'child_process';
+import { join } from 'path';
+import { listChangedFiles } from '../../vibecode/orchestrator/git-source.js';
+import { writeFiles } from '../../vibecode/orchestrator/corpus.js';
+
+// A fixed identity, so fixture commits work without a configured git user
+const GIT_ENV = {
+  GIT_AUTHOR_NAME: 'vibecode', GIT_AUTHOR_EMAIL: 'corpus@vibecode.invalid',
+  GIT_COMMITTER_NAME: 'vibecode', GIT_COMMITTER_EMAIL: 'corpus@vibecode.invalid'
+};
+
+/**
+ * Commit input.files as the "base" tag of a new repository, then commit
+ * input.commit, stage input.stage and write input.edit; lists the changed
+ * files of input.source from input.cwd. With git: false there is no repository.
+ */
+export default async function gitSource(input, { root }) {
+  const git = (...args) => execFileSync('git', args, { cwd: root, stdio: 'pipe', env: { ...process.env, ...GIT_ENV } });
+  if (input.git !== false) {
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-q', '--no-gpg-sign', '-m', 'base');
+    git('tag', 'base');
+    if (input.commit) {
+      writeFiles(root, input.commit);
+      git('add', '-A');
+      git('commit', '-q', '--no-gpg-sign', '-m', 'change');
+    }
+    if (input.stage) {
+      writeFiles(root, input.stage);
+      git('add', '-A');
+    }
+  }
+  writeFiles(root, input.edit);
+  return listChangedFiles(input.source, { cwd: join(root, input.cwd || '') });
+}
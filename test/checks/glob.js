@@ -0,0 +1,14 @@
+import { matchGlob, compileGlob } from '../../vibecode/orchestrator/glob-matcher.js';
+
+/**
+ * Match input.paths against input.patterns (one glob or a list); returns the
+ * paths that match and whether compiling the globs again reused them
+ */
+export default async function glob(input) {
+  const patterns = [input.patterns].flat();
+  const compiled = patterns.map(compileGlob);
+  return {
+    matched: input.paths.filter(path => matchGlob(path, input.patterns)),
+    cached: patterns.every((pattern, index) => compileGlob(pattern) === compiled[index])
+  };
+}
@@ -0,0 +1,20 @@
+import { AgentRouter } from '../../vibecode/orchestrator/router.js';
+
+/**
+ * Record input.corrections ({ task, added, removed }), then route
+ * input.tasks; returns the learned words ("agent: word") and each route's agents
+ */
+export default async function learning(input, { root }) {
+  const router = new AgentRouter({ projectRoot: root });
+  for (const { task, added = [], removed = [] } of input.corrections) {
+    router.recordCorrection(task, { added, removed });
+  }
+
+  const learned = Object.entries(router.learned.associations)
+    .flatMap(([agent, terms]) => terms.map(({ term }) => `${agent}: ${term}`))
+    .sort();
+  const routes = (input.tasks || []).map(task =>
+    [...new Set(router.route(task, { log: false }).executionPlan.flatMap(phase => phase.agents))].sort()
+  );
+  return { learned, routes };
+}
@@ -0,0 +1,17 @@
+import { FileIndex } from '../../vibecode/orchestrator/file-index.js';
+import { readManifests, matchFrameworks } from '../../vibecode/orchestrator/manifests.js';
+
+/**
+ * Read the project's dependency manifests; returns the dependencies per
+ * file, the frameworks they declare ("field: value", or "type" for
+ * type-only entries) and the manifests that did not parse
+ */
+export default async function manifests(input, { root }) {
+  const problems = [];
+  const manifests = await readManifests(root, new FileIndex(root).build(), problems);
+  return {
+    dependencies: Object.fromEntries(manifests.map(({ file, dependencies }) => [file, dependencies])),
+    frameworks: matchFrameworks(manifests).map(({ field, value, type }) => (field ? `${field}: ${value}` : `type: ${type}`)),
+    problems
+  };
+}
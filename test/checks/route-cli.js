@@ -0,0 +1,31 @@
+import { spawnSync } from 'child_process';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROUTE_SCRIPT = join(__dirname, '..', '..', 'vibecode', 'scripts', 'route.js');
+
+/**
+ * Run the route command in the project with input.args (and --json unless
+ * input.format is given); returns the exit status and, for JSON output, the
+ * chain, each phase as "agent, agent (parallel|sequential)" and each call as
+ * "id after id, id", otherwise the first line printed
+ */
+export default async function routeCli(input, { root }) {
+  const args = [...(input.args || []), ...(input.format ? [] : ['--json'])];
+  const { status, stdout, stderr } = spawnSync(process.execPath, [ROUTE_SCRIPT, ...args], {
+    cwd: root,
+    env: { ...process.env, HOME: join(root, 'home') },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  if (status !== 0 || input.format) return { status, firstLine: `${stdout}${stderr}`.split('\n')[0] };
+
+  const { result, calls } = JSON.parse(stdout);
+  return {
+    status,
+    chain: result.chainType ?? null,
+    plan: result.executionPlan.map(phase => `${phase.agents.join(', ')} (${phase.parallel ? 'parallel' : 'sequential'})`),
+    calls: calls.map(call => `${call.id}${call.dependsOn.length > 0 ? ` after ${call.dependsOn.join(', ')}` : ''}`)
+  };
+}
@@ -0,0 +1,18 @@
+import { AgentRouter } from '../../vibecode/orchestrator/router.js';
+import { RoutingConfigError } from '../../vibecode/orchestrator/routing-config.js';
+
+/**
+ * Load the project's .vibecode/routing.yml and route input.task with it;
+ * an invalid config returns its issues ({ line, path, message }) instead
+ */
+export default async function routingConfig(input, { root }) {
+  let router;
+  try {
+    router = new AgentRouter({ projectRoot: root });
+  } catch (error) {
+    if (!(error instanceof RoutingConfigError)) throw error;
+    return { issues: error.issues };
+  }
+  const result = router.route(input.task, { log: false, session: false });
+  return { issues: [], agents: [...new Set(result.executionPlan.flatMap(phase => phase.agents))].sort() };
+}
@@ -0,0 +1,8 @@
+import { scheduleAgents } from '../../vibecode/orchestrator/scheduler.js';
+
+/**
+ * Schedule input.agents with input.capabilities ({ agent: { dependencies, priority } })
+ */
+export default async function scheduler(input) {
+  return scheduleAgents(input.agents, input.capabilities, { includeDependencies: input.includeDependencies });
+}
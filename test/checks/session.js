@@ -0,0 +1,13 @@
+import { AgentRouter } from '../../vibecode/orchestrator/router.js';
+
+/**
+ * Route input.tasks one after the other in a session; returns the agents
+ * of each turn, sorted
+ */
+export default async function session(input, { root }) {
+  const router = new AgentRouter({ projectRoot: root });
+  return input.tasks.map(task => {
+    const result = router.route(task, { session: true, log: false });
+    return [...new Set(result.executionPlan.flatMap(phase => phase.agents))].sort();
+  });
+}
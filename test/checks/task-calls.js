@@ -0,0 +1,21 @@
+import { AgentRouter } from '../../vibecode/orchestrator/router.js';
+
+/**
+ * Route input.task (touching input.touched, with input.context) and generate
+ * its Task calls; returns each call's id, phase, dependsOn and parallel flag,
+ * plus the role, routed files and output placeholders in its prompt
+ */
+export default async function taskCalls(input, { root }) {
+  const router = new AgentRouter({ projectRoot: root, projectConfig: false });
+  const result = router.route(input.task, { ...input.context, files: input.touched, log: false, session: false });
+  return router.generateTaskCalls(result, input.task).map(call => ({
+    id: call.id,
+    phase: call.phase,
+    dependsOn: call.dependsOn,
+    parallel: call.parallel,
+    role: call.prompt.match(/^## Your role: (.+)$/m)?.[1] ?? null,
+    files: [...call.prompt.matchAll(/^## Files routed to you\n((?:- .+\n?)+)/gm)]
+      .flatMap(match => match[1].trim().split('\n').map(line => line.slice(2))),
+    placeholders: [...call.prompt.matchAll(/\{\{output:([^}]+)\}\}/g)].map(match => match[1])
+  }));
+}
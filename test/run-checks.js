@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+import { readdirSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+import { CorpusError, loadChecks, runChecks } from '../vibecode/orchestrator/corpus.js';
+
+/**
+ * Module checks for this repository's test script
+ * Each test/checks/<name>.js exports the check that cases with `check: <name>`
+ * run: it calls one orchestrator module on the case's input (and the temporary
+ * project root its input.files were written to) and returns what the case's
+ * expect.result is compared with. Not shipped, so vibecode:corpus in a user's
+ * project only runs routing cases.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CHECKS_DIR = join(__dirname, 'checks');
+
+const USAGE = `Usage: node test/run-checks.js [options]
+
+Options:
+      --only <text>   Run only checks whose name contains <text>
+  -v, --verbose       List passing checks too
+  -h, --help          Show this help`;
+
+const OPTIONS = {
+  only: { type: 'string' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+async function loadCheckFunctions(dir) {
+  const checks = {};
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.js')).sort()) {
+    checks[basename(file, '.js')] = (await import(pathToFileURL(join(dir, file)).href)).default;
+  }
+  return checks;
+}
+
+function formatResult(result) {
+  const lines = [`${chalk.red('✗')} ${result.name} ${chalk.gray(result.file)}`];
+  if (result.failures.includes('error')) {
+    lines.push(`    expected an error containing: ${result.expect.error}`);
+    lines.push(`    got: ${result.error ?? JSON.stringify(result.actual)}`);
+  }
+  if (result.failures.includes('result')) {
+    lines.push(`    expected: ${JSON.stringify(result.expect.result)}`);
+    lines.push(`    actual:   ${result.error ? `error: ${result.error}` : JSON.stringify(result.actual)}`);
+  }
+  return lines.join('\n');
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({ options: OPTIONS }));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}\n`));
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const checks = await loadCheckFunctions(CHECKS_DIR);
+  const cases = loadChecks(CHECKS_DIR, checks, { label: 'test/checks' });
+  const selected = values.only ? cases.filter(c => c.name.includes(values.only)) : cases;
+  const { results, failed } = await runChecks(checks, selected);
+
+  console.log(chalk.blue.bold('\n🧪 Module checks'));
+  for (const result of results) {
+    if (!result.passed) {
+      console.log(formatResult(result));
+    } else if (values.verbose) {
+      console.log(`${chalk.green('✓')} ${result.name}`);
+    }
+  }
+  const summary = `${results.length - failed}/${results.length} passed`;
+  console.log(failed > 0 ? chalk.red(summary) : chalk.green(summary));
+
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(error => {
+  if (error instanceof CorpusError) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  console.error(chalk.red(`❌ ${error.stack || error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,204 @@
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, basename } from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Agent metadata loader
+ * Reads the YAML frontmatter block at the top of each agents/*.md spec
+ */
+
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+export class AgentMetadataError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid agent metadata (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n` +
+      problems.map(p => `  - ${p.file}: ${p.message}`).join('\n')
+    );
+    this.name = 'AgentMetadataError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Split a spec into its parsed frontmatter and markdown body
+ */
+export function parseFrontmatter(content, file = '<inline>') {
+  const match = content.match(FRONTMATTER);
+  if (!match) {
+    throw new AgentMetadataError([{ file, message: 'missing frontmatter block (expected --- at line 1)' }]);
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1]);
+  } catch (error) {
+    // Frontmatter starts on line 2, after the opening ---
+    const line = error.mark ? error.mark.line + 2 : '?';
+    throw new AgentMetadataError([{ file, message: `malformed YAML at line ${line}: ${error.reason || error.message}` }]);
+  }
+
+  return { data: data ?? {}, body: content.slice(match[0].length) };
+}
+
+/**
+ * Check one agent's frontmatter, returning a list of problem messages
+ */
+export function validateAgentMetadata(name, data) {
+  const problems = [];
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return ['frontmatter must be a mapping'];
+  }
+  if (data.name !== name) {
+    problems.push(`"name" must be "${name}" (got ${JSON.stringify(data.name)})`);
+  }
+  if (typeof data.description !== 'string' || !data.description.trim()) {
+    problems.push('"description" must be a non-empty string');
+  }
+  if (!isStringList(data.capabilities) || data.capabilities.length === 0) {
+    problems.push('"capabilities" must be a non-empty list of strings');
+  }
+  if (!Number.isInteger(data.priority) || data.priority < 1) {
+    problems.push('"priority" must be a positive integer');
+  }
+  if (!isStringList(data.dependencies)) {
+    problems.push('"dependencies" must be a list of agent names');
+  } else if (data.dependencies.includes(name)) {
+    problems.push('"dependencies" must not include the agent itself');
+  }
+  if (typeof data.triggers !== 'object' || data.triggers === null) {
+    problems.push('"triggers" must be a mapping with "files" and "keywords"');
+  } else {
+    if (!isStringList(data.triggers.files)) problems.push('"triggers.files" must be a list of glob patterns');
+    if (!isStringList(data.triggers.keywords)) problems.push('"triggers.keywords" must be a list of keywords');
+  }
+
+  return problems;
+}
+
+/**
+ * Load and validate the metadata of every agent spec in a directory
+ */
+export function loadAgentMetadata(agentsDir) {
+  if (!existsSync(agentsDir)) {
+    throw new AgentMetadataError([{ file: agentsDir, message: 'agents directory not found' }]);
+  }
+
+  const files = readdirSync(agentsDir).filter(f => f.endsWith('.md')).sort();
+  const agents = {};
+  const problems = [];
+
+  for (const file of files) {
+    const name = basename(file, '.md');
+    try {
+      const { data } = parseFrontmatter(readFileSync(join(agentsDir, file), 'utf8'), file);
+      const messages = validateAgentMetadata(name, data);
+      if (messages.length > 0) {
+        problems.push(...messages.map(message => ({ file, message })));
+        continue;
+      }
+      agents[name] = {
+        description: data.description,
+        capabilities: data.capabilities,
+        priority: data.priority,
+        dependencies: data.dependencies,
+        triggers: { files: data.triggers.files, keywords: data.triggers.keywords }
+      };
+    } catch (error) {
+      if (!(error instanceof AgentMetadataError)) throw error;
+      problems.push(...error.problems);
+    }
+  }
+
+  // Dependencies must point at agents that actually exist
+  for (const [name, meta] of Object.entries(agents)) {
+    for (const dep of meta.dependencies) {
+      if (!agents[dep] && !files.includes(`${dep}.md`)) {
+        problems.push({ file: `${name}.md`, message: `unknown dependency "${dep}"` });
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new AgentMetadataError(problems);
+  }
+
+  return agents;
+}
+
+/**
+ * Split a spec body into its "## " sections
+ */
+export function splitSpecSections(body) {
+  const sections = [];
+  let current = { title: null, lines: [] };
+  let inCodeBlock = false;
+
+  for (const line of body.split('\n')) {
+    if (line.trimStart().startsWith('```')) inCodeBlock = !inCodeBlock;
+
+    if (!inCodeBlock && line.startsWith('## ')) {
+      sections.push(current);
+      current = { title: line.slice(3).trim(), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .filter(section => section.title)
+    .map(section => ({ title: section.title, content: section.lines.join('\n').trim() }));
+}
+
+/**
+ * Split a spec body into the units a trimmed prompt can attach: each "## "
+ * section, or its "### " subsections when it has any ("Standards > Stripe Integration")
+ */
+export function splitSpecUnits(body) {
+  const units = [];
+
+  for (const section of splitSpecSections(body)) {
+    const subsections = splitSpecSections(section.content.replace(/^### /gm, '## '));
+    const intro = section.content.split(/^### /m)[0].trim();
+
+    if (subsections.length === 0) {
+      units.push({ title: section.title, section: section.title, content: section.content });
+      continue;
+    }
+    if (intro) {
+      units.push({ title: section.title, section: section.title, content: intro });
+    }
+    for (const sub of subsections) {
+      units.push({ title: `${section.title} > ${sub.title}`, section: section.title, content: sub.content });
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Short excerpt of a spec for prompts: the Role section and the first
+ * lines of Core Responsibilities
+ */
+export function extractSpecExcerpt(body, { maxLines = 12 } = {}) {
+  const sections = splitSpecSections(body);
+  const role = sections.find(s => s.title === 'Role');
+  const responsibilities = sections.find(s => s.title === 'Core Responsibilities' || s.title === 'Expertise');
+
+  const parts = [];
+  if (role) parts.push(role.content);
+  if (responsibilities) {
+    const lines = responsibilities.content
+      .split('\n')
+      .filter(line => line.trim())
+      .slice(0, maxLines)
+      .map(line => line.replace(/^#{3,}\s+(.*)$/, '**$1**'));
+    parts.push(`${responsibilities.title}:\n${lines.join('\n')}`);
+  }
+  return parts.join('\n\n');
+}
+
+export default loadAgentMetadata;
@@ -0,0 +1,109 @@
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, basename } from 'path';
+import { homedir } from 'os';
+import { parseFrontmatter } from './agent-metadata.js';
+
+/**
+ * Installed-agent registry
+ * Finds the agents a tool can actually run and resolves routed agents to
+ * their installed identifiers, following fallback chains for missing ones
+ */
+
+// general-purpose ships with Claude Code and needs no agent file
+export const BUILTIN_AGENTS = ['general-purpose'];
+
+export const AGENT_SOURCES = ['bundled', 'user', 'project', 'cursor'];
+
+/**
+ * Directory each source reads agent files from
+ */
+export function agentSourceDirs({ agentsDir, projectRoot, home = homedir() }) {
+  return {
+    bundled: agentsDir,
+    user: join(home, '.claude', 'agents'),
+    project: join(projectRoot, '.claude', 'agents'),
+    cursor: join(projectRoot, '.cursor', 'agents')
+  };
+}
+
+/**
+ * Identifier of an agent file: its frontmatter "name", or the file name.
+ * Files without valid frontmatter are still usable by name.
+ */
+function readAgentName(dir, file) {
+  try {
+    const { data } = parseFrontmatter(readFileSync(join(dir, file), 'utf8'), file);
+    if (typeof data.name === 'string' && data.name.trim()) return data.name.trim();
+  } catch {
+    // No or malformed frontmatter: fall back to the file name
+  }
+  return basename(file, '.md');
+}
+
+export class AgentRegistry {
+  constructor({ dirs, sources = ['user', 'project', 'bundled'], fallbacks = {} }) {
+    this.dirs = dirs;
+    this.sources = sources;
+    this.fallbacks = fallbacks;
+    this.agents = null;
+  }
+
+  /**
+   * Scan the configured sources; earlier sources win when a name appears twice
+   */
+  load() {
+    this.agents = new Map(BUILTIN_AGENTS.map(name => [name, { id: name, source: 'builtin', file: null }]));
+
+    for (const source of this.sources) {
+      const dir = this.dirs[source];
+      if (!dir || !existsSync(dir)) continue;
+
+      for (const file of readdirSync(dir).filter(f => f.endsWith('.md')).sort()) {
+        const id = readAgentName(dir, file);
+        const key = basename(file, '.md');
+        if (!this.agents.has(key)) {
+          this.agents.set(key, { id, source, file: join(dir, file) });
+        }
+      }
+    }
+    return this;
+  }
+
+  has(agent) {
+    if (!this.agents) this.load();
+    return this.agents.has(agent);
+  }
+
+  /**
+   * Resolve a routed agent to an installed one
+   *
+   * Tries the agent, then its fallback chain, then general-purpose. Returns
+   * the agent that will run, its identifier for the tool, where it was found
+   * and the agents that were tried but are not installed.
+   */
+  resolve(agent) {
+    if (!this.agents) this.load();
+
+    const chain = [agent, ...(this.fallbacks[agent] || []), 'general-purpose'];
+    const missing = [];
+    for (const candidate of chain) {
+      const installed = this.agents.get(candidate);
+      if (installed) {
+        return { agent: candidate, id: installed.id, source: installed.source, missing };
+      }
+      missing.push(candidate);
+    }
+    // general-purpose is always present, so this is unreachable
+    return null;
+  }
+
+  /**
+   * Installed agents, for listings
+   */
+  list() {
+    if (!this.agents) this.load();
+    return [...this.agents.entries()].map(([agent, info]) => ({ agent, ...info }));
+  }
+}
+
+export default AgentRegistry;
@@ -0,0 +1,91 @@
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { createHash } from 'crypto';
+import { ROUTING_CONFIG_PATH } from './routing-config.js';
+
+/**
+ * Project analysis cache
+ * Saves the last analysis in .vibecode/cache/analysis.json with a fingerprint
+ * of the file listing and the manifests, lockfiles and config files it read,
+ * so a rerun on an unchanged project skips the detectors
+ */
+
+export const ANALYSIS_CACHE_PATH = join('.vibecode', 'cache', 'analysis.json');
+
+// Bumped when the shape of projectInfo changes, so older caches are not reused
+const CACHE_VERSION = 2;
+
+// Files whose content decides the analysis, at any depth of the project
+export const INPUT_PATTERNS = [
+  // Manifests
+  '**/package.json', '**/project.json', '**/pubspec.yaml', '**/pyproject.toml', '**/Pipfile',
+  '**/requirements.txt', '**/requirements-*.txt', '**/requirements/*.txt', '**/go.mod', '**/Cargo.toml',
+  '**/Gemfile', '**/composer.json', '**/build.gradle', '**/build.gradle.kts', '**/pom.xml',
+  // Lockfiles
+  '**/package-lock.json', '**/yarn.lock', '**/pnpm-lock.yaml', '**/pubspec.lock', '**/poetry.lock',
+  '**/Pipfile.lock', '**/go.sum', '**/Cargo.lock', '**/Gemfile.lock', '**/composer.lock',
+  // Workspace, deployment and backend configs
+  'pnpm-workspace.yaml', 'lerna.json', 'turbo.json', 'nx.json',
+  '**/vercel.json', '**/netlify.toml', '**/Dockerfile', '**/firebase.json', '**/serverless.yml',
+  '**/sam-template.yml', '.github/workflows/*.yml', '**/prisma/schema.prisma', '**/supabase/config.toml',
+  // Ignore files decide what the walk sees
+  '**/.gitignore', '**/.vibecodeignore'
+];
+
+// Files Vibecode writes into the project itself, left out of the fingerprint
+// so generating them does not invalidate it (.vibecode/ and .cursor/ are not indexed)
+const OUTPUT_FILES = ['.cursorrules', 'CLAUDE.md'];
+
+/**
+ * The files of a FileIndex whose content the analysis depends on
+ */
+export function analysisInputs(index) {
+  return index.findAll(INPUT_PATTERNS);
+}
+
+/**
+ * Hash of what the detectors see: every path in the index, since features and
+ * services are detected from file names (auth/, stripe*, supabase.ts), and the
+ * contents of the manifests, lockfiles and configs, plus routing.yml, which
+ * holds the analysis settings; a missing file hashes as missing
+ */
+export function fingerprintProject(projectRoot, index) {
+  const hash = createHash('sha256').update(`v${CACHE_VERSION}\n`);
+  hash.update(index.paths.filter(path => !OUTPUT_FILES.includes(path)).join('\n')).update('\0');
+
+  for (const file of [...analysisInputs(index), ROUTING_CONFIG_PATH]) {
+    let content = null;
+    try {
+      content = readFileSync(join(projectRoot, file));
+    } catch {
+      // Missing, or a directory named like a config file
+    }
+    hash.update(`${file}\0`).update(content === null ? '-' : createHash('sha256').update(content).digest('hex')).update('\n');
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * The cached analysis, or null when there is none or it cannot be read;
+ * a cache is only an optimization, so a broken one is analyzed over
+ */
+export function loadAnalysisCache(path) {
+  if (!existsSync(path)) return null;
+  try {
+    const cache = JSON.parse(readFileSync(path, 'utf8'));
+    return cache?.version === CACHE_VERSION && typeof cache.fingerprint === 'string'
+      ? cache
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save an analysis: { fingerprint, problems, projectInfo }
+ */
+export function saveAnalysisCache(path, entry) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify({ version: CACHE_VERSION, savedAt: new Date().toISOString(), ...entry }, null, 2) + '\n');
+}
@@ -1,6 +1,11 @@
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, existsSync, realpathSync } from 'fs';
 import { join } from 'path';
-import { glob } from 'glob';
+import { pathToFileURL } from 'url';
+import { FileIndex } from './file-index.js';
+import { detectWorkspaces, rollUpProjectInfo } from './workspaces.js';
+import { readManifests, matchFrameworks, FALLBACK_TYPES } from './manifests.js';
+import { fingerprintProject, loadAnalysisCache, saveAnalysisCache } from './analysis-cache.js';
+import { CONFIDENCE, emptyDetections, addDetection, rankDetections, primaryValues, detectedValues } from './detections.js';
 
 /**
  * Project analyzer for automatic agent configuration
@@ -8,8 +13,16 @@ import { glob } from 'glob';
  */
 
 export class ProjectAnalyzer {
-  constructor(projectRoot = process.cwd()) {
+  /**
+   * options.workspaces: false analyzes the directory alone, without looking for monorepo packages
+   * options.scan: FileIndex options ({ maxDepth, timeBudget, ignore })
+   * options.index: a FileIndex to query instead of walking the project again
+   * options.cache: file, relative to the project, to reuse and save the analysis in
+   */
+  constructor(projectRoot = process.cwd(), options = {}) {
     this.projectRoot = projectRoot;
+    this.options = { workspaces: true, scan: {}, index: null, cache: null, ...options };
+    this.index = this.options.index;
     this.projectInfo = {
       type: null,
       frontend: null,
@@ -20,12 +33,30 @@ export class ProjectAnalyzer {
       testing: null,
       features: []
     };
+    this.detections = emptyDetections();
+    // Files that exist but could not be read: [{ file, message }]
+    this.problems = [];
+    // FileIndex stats of the walk, and whether the detections were reused from the cache
+    this.stats = null;
+    this.cached = false;
   }
 
   /**
    * Analyze project and detect configuration
+   * refresh: analyze again even when the cached analysis is still current
    */
-  async analyze() {
+  async analyze({ refresh = false } = {}) {
+    if (!this.index) {
+      this.index = new FileIndex(this.projectRoot, this.options.scan).build();
+    }
+    this.stats = this.index.stats;
+
+    const cachePath = this.options.cache && join(this.projectRoot, this.options.cache);
+    const fingerprint = cachePath && fingerprintProject(this.projectRoot, this.index);
+    if (cachePath && !refresh && this.loadCache(cachePath, fingerprint)) {
+      return this.projectInfo;
+    }
+
     await this.detectProjectType();
     await this.detectFrontend();
     await this.detectBackend();
@@ -34,22 +65,67 @@ export class ProjectAnalyzer {
     await this.detectTesting();
     await this.detectDeployment();
     await this.detectFeatures();
+    await this.detectFrameworks();
+    this.derivePrimaryValues();
+    if (this.options.workspaces) {
+      await this.detectWorkspace();
+    }
 
+    if (cachePath) {
+      saveAnalysisCache(cachePath, {
+        fingerprint,
+        problems: this.problems,
+        projectInfo: this.projectInfo
+      });
+    }
     return this.projectInfo;
   }
 
+  /**
+   * Reuse the cached analysis when the project still has the same fingerprint
+   */
+  loadCache(cachePath, fingerprint) {
+    const cache = loadAnalysisCache(cachePath);
+    if (!cache || cache.fingerprint !== fingerprint) return false;
+
+    this.projectInfo = cache.projectInfo;
+    this.problems = cache.problems;
+    this.cached = true;
+    return true;
+  }
+
+  /**
+   * Detect a monorepo: analyze each workspace package on its own and roll
+   * the results up into the project info
+   */
+  async detectWorkspace() {
+    const problems = [];
+    const workspace = await detectWorkspaces(this.projectRoot, this.index, problems);
+    problems.forEach(({ file, message }) => this.problem(file, message));
+    if (!workspace || workspace.packages.length === 0) return;
+
+    const packages = [];
+    for (const { name, path } of workspace.packages) {
+      const analyzer = new ProjectAnalyzer(join(this.projectRoot, path), { workspaces: false, index: this.index.subtree(path) });
+      packages.push({ name, path, projectInfo: await analyzer.analyze() });
+      for (const { file, message } of analyzer.problems) {
+        this.problem(`${path}/${file}`, message);
+      }
+    }
+
+    this.projectInfo = {
+      ...rollUpProjectInfo(this.projectInfo, packages),
+      workspace: { tools: workspace.tools, packages }
+    };
+  }
+
   /**
    * Detect overall project type
    */
   async detectProjectType() {
-    const hasPackageJson = existsSync(join(this.projectRoot, 'package.json'));
-    const hasGoMod = existsSync(join(this.projectRoot, 'go.mod'));
-    const hasCargo = existsSync(join(this.projectRoot, 'Cargo.toml'));
-    const hasPyproject = existsSync(join(this.projectRoot, 'pyproject.toml'));
-    const hasRequirements = existsSync(join(this.projectRoot, 'requirements.txt'));
+    const pkg = this.readPackageJson();
 
-    if (hasPackageJson) {
-      const pkg = JSON.parse(readFileSync(join(this.projectRoot, 'package.json'), 'utf8'));
+    if (pkg) {
 
       // Check for Next.js
       if (pkg.dependencies?.next || pkg.devDependencies?.next) {
@@ -87,20 +163,16 @@ export class ProjectAnalyzer {
       }
     }
 
-    if (hasGoMod) {
-      this.projectInfo.type = 'go-backend';
+    // Other ecosystems: the first framework with a project type, else the ecosystem's own
+    const manifests = await this.getManifests();
+    const framework = matchFrameworks(manifests).find(match => match.type);
+    if (framework) {
+      this.projectInfo.type = framework.type;
       return;
     }
-
-    if (hasPyproject || hasRequirements) {
-      // Check for Django/Flask
-      if (hasRequirements) {
-        const requirements = readFileSync(join(this.projectRoot, 'requirements.txt'), 'utf8');
-        if (requirements.includes('django') || requirements.includes('flask')) {
-          this.projectInfo.type = 'python-backend';
-          return;
-        }
-      }
+    if (manifests.length > 0) {
+      this.projectInfo.type = FALLBACK_TYPES[manifests[0].ecosystem];
+      return;
     }
 
     // Default to web-app if uncertain
@@ -108,298 +180,328 @@ export class ProjectAnalyzer {
   }
 
   /**
-   * Detect frontend framework
+   * Record a detection for a field, with the evidence that triggered it
    */
-  async detectFrontend() {
-    const hasPackageJson = existsSync(join(this.projectRoot, 'package.json'));
-
-    if (!hasPackageJson) {
-      this.projectInfo.frontend = null;
-      return;
-    }
-
-    const pkg = JSON.parse(readFileSync(join(this.projectRoot, 'package.json'), 'utf8'));
-    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  detect(field, value, confidence, evidence) {
+    addDetection(this.detections[field], value, confidence, evidence);
+  }
 
-    if (deps.react) {
-      this.projectInfo.frontend = 'react';
-      if (deps.next) {
-        this.projectInfo.frontend = 'nextjs';
-      }
-    } else if (deps.vue) {
-      this.projectInfo.frontend = 'vue';
-      if (deps.nuxt) {
-        this.projectInfo.frontend = 'nuxt';
-      }
-    } else if (deps['@angular/core']) {
-      this.projectInfo.frontend = 'angular';
-    } else if (deps.svelte) {
-      this.projectInfo.frontend = 'svelte';
-      if (deps['@sveltejs/kit']) {
-        this.projectInfo.frontend = 'sveltekit';
-      }
-    }
+  /**
+   * Rank each field's detections and derive the scalar fields from them
+   */
+  derivePrimaryValues() {
+    const detections = Object.fromEntries(
+      Object.entries(this.detections).map(([field, list]) => [field, rankDetections(list)])
+    );
+    Object.assign(this.projectInfo, primaryValues(detections), { detections });
   }
 
   /**
-   * Detect backend service
+   * Record a file that could not be read, once
    */
-  async detectBackend() {
-    // Check for Supabase
-    const hasSupabase = await this.checkForFiles(['supabase/**', '**/supabase.js', '**/supabase.ts']);
-    if (hasSupabase) {
-      this.projectInfo.backend = 'supabase';
-      return;
+  problem(file, message) {
+    if (!this.problems.some(p => p.file === file && p.message === message)) {
+      this.problems.push({ file, message });
     }
+  }
 
-    // Check for Firebase
-    const hasFirebase = await this.checkForFiles(['firebase.json', '**/firebase.js', '**/firebase.ts']);
-    if (hasFirebase) {
-      this.projectInfo.backend = 'firebase';
-      return;
+  /**
+   * The root package.json, read once per analysis; null when missing or malformed
+   */
+  readPackageJson() {
+    if (this.packageJson === undefined) {
+      const packageJsonPath = join(this.projectRoot, 'package.json');
+      this.packageJson = null;
+      if (existsSync(packageJsonPath)) {
+        try {
+          this.packageJson = JSON.parse(readFileSync(packageJsonPath, 'utf8'));
+        } catch (error) {
+          this.problem('package.json', `malformed JSON (${error.message})`);
+        }
+      }
     }
+    return this.packageJson;
+  }
 
-    // Check for AWS
-    const hasAWS = await this.checkForFiles(['serverless.yml', 'sam-template.yml', '**/aws-config.js']);
-    if (hasAWS) {
-      this.projectInfo.backend = 'aws';
-      return;
-    }
+  /**
+   * Dependencies and devDependencies of the root package.json, or null without one
+   */
+  readDependencies() {
+    const pkg = this.readPackageJson();
+    if (!pkg) return null;
+    return { ...pkg.dependencies, ...pkg.devDependencies };
+  }
 
-    // Check for custom backend
-    const hasPackageJson = existsSync(join(this.projectRoot, 'package.json'));
-    if (hasPackageJson) {
-      const pkg = JSON.parse(readFileSync(join(this.projectRoot, 'package.json'), 'utf8'));
-      const deps = { ...pkg.dependencies, ...pkg.devDependencies };
-
-      if (deps.express || deps.fastify) {
-        this.projectInfo.backend = 'node-api';
-      } else if (deps['@nestjs/core']) {
-        this.projectInfo.backend = 'nestjs';
-      } else if (deps.graphql) {
-        this.projectInfo.backend = 'graphql';
-      }
+  /**
+   * Detect a value from the first file matching each pattern group:
+   * [[patterns, confidence], ...]
+   */
+  async detectFiles(field, value, groups) {
+    for (const [patterns, confidence] of groups) {
+      const file = await this.findFile(patterns);
+      if (file) this.detect(field, value, confidence, { file });
     }
   }
 
   /**
-   * Detect mobile framework
+   * Detect frontend frameworks
    */
-  async detectMobile() {
-    const hasPackageJson = existsSync(join(this.projectRoot, 'package.json'));
-
-    if (hasPackageJson) {
-      const pkg = JSON.parse(readFileSync(join(this.projectRoot, 'package.json'), 'utf8'));
-      const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  async detectFrontend() {
+    const deps = this.readDependencies();
+    if (!deps) return;
 
-      if (deps['react-native']) {
-        this.projectInfo.mobile = 'react-native';
-        if (deps.expo) {
-          this.projectInfo.mobile = 'expo';
-        }
-      }
+    const dependency = name => ({ file: 'package.json', dependency: name });
+    if (deps.react) {
+      this.detect('frontend', deps.next ? 'nextjs' : 'react', CONFIDENCE.dependency, dependency(deps.next ? 'next' : 'react'));
     }
-
-    // Check for Flutter
-    if (existsSync(join(this.projectRoot, 'pubspec.yaml'))) {
-      this.projectInfo.mobile = 'flutter';
+    if (deps.vue) {
+      this.detect('frontend', deps.nuxt ? 'nuxt' : 'vue', CONFIDENCE.dependency, dependency(deps.nuxt ? 'nuxt' : 'vue'));
     }
+    if (deps['@angular/core']) {
+      this.detect('frontend', 'angular', CONFIDENCE.dependency, dependency('@angular/core'));
+    }
+    if (deps.svelte) {
+      const kit = deps['@sveltejs/kit'];
+      this.detect('frontend', kit ? 'sveltekit' : 'svelte', CONFIDENCE.dependency, dependency(kit ? '@sveltejs/kit' : 'svelte'));
+    }
+  }
 
-    // Check for iOS
-    const hasIOS = await this.checkForFiles(['*.xcodeproj', '*.xcworkspace']);
-    if (hasIOS) {
-      this.projectInfo.mobile = this.projectInfo.mobile || 'ios-native';
+  /**
+   * Detect backend services
+   */
+  async detectBackend() {
+    await this.detectFiles('backend', 'supabase', [
+      [['supabase/*'], CONFIDENCE.config],
+      [['**/supabase.js', '**/supabase.ts'], CONFIDENCE.file]
+    ]);
+    await this.detectFiles('backend', 'firebase', [
+      [['firebase.json'], CONFIDENCE.config],
+      [['**/firebase.js', '**/firebase.ts'], CONFIDENCE.file]
+    ]);
+    await this.detectFiles('backend', 'aws', [
+      [['serverless.yml', 'sam-template.yml'], CONFIDENCE.config],
+      [['**/aws-config.js'], CONFIDENCE.file]
+    ]);
+
+    // Custom backends
+    const deps = this.readDependencies();
+    if (!deps) return;
+
+    const servers = [['express', 'node-api'], ['fastify', 'node-api'], ['@nestjs/core', 'nestjs'], ['graphql', 'graphql']];
+    for (const [name, backend] of servers) {
+      if (deps[name]) this.detect('backend', backend, CONFIDENCE.dependency, { file: 'package.json', dependency: name });
     }
+  }
 
-    // Check for Android
-    if (existsSync(join(this.projectRoot, 'build.gradle'))) {
-      this.projectInfo.mobile = this.projectInfo.mobile || 'android-native';
+  /**
+   * Detect mobile frameworks
+   */
+  async detectMobile() {
+    const deps = this.readDependencies();
+    if (deps?.['react-native']) {
+      const expo = Boolean(deps.expo);
+      this.detect('mobile', expo ? 'expo' : 'react-native', CONFIDENCE.dependency,
+        { file: 'package.json', dependency: expo ? 'expo' : 'react-native' });
     }
+
+    await this.detectFiles('mobile', 'flutter', [[['pubspec.yaml'], CONFIDENCE.config]]);
+    await this.detectFiles('mobile', 'ios-native', [[['*.xcodeproj', '*.xcworkspace'], CONFIDENCE.config]]);
+    // Native Android is detected from the com.android.application plugin in detectFrameworks
   }
 
   /**
-   * Detect database
+   * Detect databases
    */
   async detectDatabase() {
-    // Check for Prisma
-    if (existsSync(join(this.projectRoot, 'prisma', 'schema.prisma'))) {
-      this.projectInfo.database = 'prisma';
-      return;
+    await this.detectFiles('database', 'prisma', [[['prisma/schema.prisma'], CONFIDENCE.config]]);
+
+    // Migrations folders, with the database guessed from file names
+    const migration = await this.findFile(['migrations/**', 'db/migrate/**']);
+    if (!migration) return;
+
+    const guesses = [
+      ['postgresql', ['**/postgres*', '**/postgresql*']],
+      ['mysql', ['**/mysql*']],
+      ['mongodb', ['**/mongo*']]
+    ];
+    for (const [database, patterns] of guesses) {
+      const file = await this.findFile(patterns);
+      if (file) this.detect('database', database, CONFIDENCE.hint, { file });
     }
-
-    // Check for migrations folders
-    const hasMigrations = await this.checkForFiles(['migrations/**', 'db/migrate/**']);
-    if (hasMigrations) {
-      // Try to detect specific database from config
-      const hasPostgres = await this.checkForFiles(['**/postgres*', '**/postgresql*']);
-      const hasMysql = await this.checkForFiles(['**/mysql*']);
-      const hasMongo = await this.checkForFiles(['**/mongo*']);
-
-      if (hasPostgres) this.projectInfo.database = 'postgresql';
-      else if (hasMysql) this.projectInfo.database = 'mysql';
-      else if (hasMongo) this.projectInfo.database = 'mongodb';
-      else this.projectInfo.database = 'sql';
+    if (this.detections.database.every(({ value }) => value === 'prisma')) {
+      this.detect('database', 'sql', CONFIDENCE.hint, { file: migration });
     }
   }
 
   /**
-   * Detect testing framework
+   * Detect testing frameworks
    */
   async detectTesting() {
-    const hasPackageJson = existsSync(join(this.projectRoot, 'package.json'));
-
-    if (hasPackageJson) {
-      const pkg = JSON.parse(readFileSync(join(this.projectRoot, 'package.json'), 'utf8'));
-      const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const deps = this.readDependencies();
+    if (!deps) return;
 
-      if (deps.jest) this.projectInfo.testing = 'jest';
-      else if (deps.vitest) this.projectInfo.testing = 'vitest';
-      else if (deps.mocha) this.projectInfo.testing = 'mocha';
-      else if (deps['@playwright/test']) this.projectInfo.testing = 'playwright';
-      else if (deps.cypress) this.projectInfo.testing = 'cypress';
+    const frameworks = [['jest', 'jest'], ['vitest', 'vitest'], ['mocha', 'mocha'], ['@playwright/test', 'playwright'], ['cypress', 'cypress']];
+    for (const [name, testing] of frameworks) {
+      if (deps[name]) this.detect('testing', testing, CONFIDENCE.dependency, { file: 'package.json', dependency: name });
     }
   }
 
   /**
-   * Detect deployment target
+   * Detect deployment targets
    */
   async detectDeployment() {
-    // Check for Vercel
-    if (existsSync(join(this.projectRoot, 'vercel.json'))) {
-      this.projectInfo.deployment = 'vercel';
-      return;
-    }
-
-    // Check for Netlify
-    if (existsSync(join(this.projectRoot, 'netlify.toml'))) {
-      this.projectInfo.deployment = 'netlify';
-      return;
-    }
-
-    // Check for Docker
-    if (existsSync(join(this.projectRoot, 'Dockerfile'))) {
-      this.projectInfo.deployment = 'docker';
-      return;
-    }
-
-    // Check for GitHub Actions
-    const hasGHA = await this.checkForFiles(['.github/workflows/*.yml']);
-    if (hasGHA) {
-      this.projectInfo.deployment = 'github-actions';
-    }
+    await this.detectFiles('deployment', 'vercel', [[['vercel.json'], CONFIDENCE.config]]);
+    await this.detectFiles('deployment', 'netlify', [[['netlify.toml'], CONFIDENCE.config]]);
+    await this.detectFiles('deployment', 'docker', [[['Dockerfile'], CONFIDENCE.config]]);
+    // Workflows run CI as often as they deploy
+    await this.detectFiles('deployment', 'github-actions', [[['.github/workflows/*.yml'], CONFIDENCE.file]]);
   }
 
   /**
    * Detect special features
    */
   async detectFeatures() {
-    const features = [];
-
-    // Check for authentication
-    const hasAuth = await this.checkForFiles(['**/auth/**', '**/login*', '**/signup*']);
-    if (hasAuth) features.push('authentication');
-
-    // Check for payment
-    const hasPayment = await this.checkForFiles(['**/stripe*', '**/payment*', '**/billing*']);
-    if (hasPayment) features.push('payment');
-
-    // Check for real-time
-    const hasRealtime = await this.checkForFiles(['**/socket*', '**/websocket*', '**/realtime*']);
-    if (hasRealtime) features.push('realtime');
-
-    // Check for i18n
-    const hasI18n = await this.checkForFiles(['**/i18n/**', '**/locales/**', '**/translations/**']);
-    if (hasI18n) features.push('internationalization');
+    const features = {
+      authentication: ['**/auth/**', '**/login*', '**/signup*'],
+      payment: ['**/stripe*', '**/payment*', '**/billing*'],
+      realtime: ['**/socket*', '**/websocket*', '**/realtime*'],
+      internationalization: ['**/i18n/**', '**/locales/**', '**/translations/**'],
+      pwa: ['manifest.json', 'service-worker.js', 'sw.js']
+    };
+    for (const [feature, patterns] of Object.entries(features)) {
+      await this.detectFiles('features', feature, [[patterns, CONFIDENCE.hint]]);
+    }
+  }
 
-    // Check for PWA
-    const hasPWA = await this.checkForFiles(['manifest.json', 'service-worker.js', 'sw.js']);
-    if (hasPWA) features.push('pwa');
+  /**
+   * Detect frameworks declared in Python, Go, Rust, Ruby, PHP and JVM manifests
+   */
+  async detectFrameworks() {
+    for (const { file, dependency, field, value } of matchFrameworks(await this.getManifests())) {
+      if (field) this.detect(field, value, CONFIDENCE.dependency, { file, dependency });
+    }
+  }
 
-    this.projectInfo.features = features;
+  /**
+   * Dependency manifests other than package.json, read once per analysis
+   */
+  async getManifests() {
+    if (!this.manifests) {
+      this.manifests = await readManifests(this.projectRoot, this.index, this.problems);
+    }
+    return this.manifests;
   }
 
   /**
    * Check if files matching patterns exist
    */
   async checkForFiles(patterns) {
-    for (const pattern of patterns) {
-      const files = await glob(pattern, { cwd: this.projectRoot });
-      if (files.length > 0) return true;
-    }
-    return false;
+    return Boolean(await this.findFile(patterns));
+  }
+
+  /**
+   * First file matching the patterns, tried in order, or null
+   */
+  async findFile(patterns) {
+    return this.index.find(patterns);
   }
 
   /**
    * Get recommended agents based on analysis
    */
   getRecommendedAgents() {
-    const agents = [];
+    // Remove duplicates
+    return [...new Set(this.getAgentRecommendations().map(r => r.agent))];
+  }
+
+  /**
+   * Recommended agents of each workspace package, without the baseline ones
+   * Returns [{ name, path, type, agents }], empty for single-package projects
+   */
+  getPackageRecommendations() {
+    return (this.projectInfo.workspace?.packages || []).map(({ name, path, projectInfo }) => {
+      const analyzer = new ProjectAnalyzer(join(this.projectRoot, path), { workspaces: false });
+      analyzer.projectInfo = projectInfo;
+      const agents = analyzer.getAgentRecommendations()
+        .filter(({ reason }) => reason !== 'baseline')
+        .map(({ agent }) => agent);
+      return { name, path, type: projectInfo.type, agents: [...new Set(agents)] };
+    });
+  }
+
+  /**
+   * Get recommended agents with the project trait that recommends each one
+   * Every detected stack counts, not only the primary value of each field.
+   */
+  getAgentRecommendations() {
+    const recommendations = [];
+    const recommend = (reason, ...agents) => {
+      agents
+        .filter(agent => !recommendations.some(r => r.agent === agent && r.reason !== 'baseline'))
+        .forEach(agent => recommendations.push({ agent, reason }));
+    };
+    const values = field => detectedValues(this.projectInfo, field);
+    const features = values('features');
 
     // Always include testing and security
-    agents.push('testing-agent', 'security-agent');
+    recommend('baseline', 'testing-agent', 'security-agent');
 
     // Frontend agents
-    if (this.projectInfo.frontend) {
-      agents.push('frontend-agent', 'design-agent');
-      if (this.projectInfo.features.includes('pwa')) {
-        agents.push('pwa-offline-agent');
+    for (const frontend of values('frontend')) {
+      recommend(`frontend: ${frontend}`, 'frontend-agent', 'design-agent');
+      if (features.includes('pwa')) {
+        recommend('feature: pwa', 'pwa-offline-agent');
       }
     }
 
     // Backend agents
-    if (this.projectInfo.backend) {
-      agents.push('backend-agent');
-      if (this.projectInfo.backend === 'supabase') {
-        agents.push('backend-agent'); // Supabase specialist
-      } else if (this.projectInfo.backend === 'firebase') {
-        agents.push('firebase-backend-agent');
-      } else if (this.projectInfo.backend === 'aws') {
-        agents.push('aws-backend-agent');
-      } else if (this.projectInfo.backend === 'graphql') {
-        agents.push('api-graphql-agent');
-      }
+    const backendAgents = { firebase: 'firebase-backend-agent', aws: 'aws-backend-agent', graphql: 'api-graphql-agent' };
+    for (const backend of values('backend')) {
+      recommend(`backend: ${backend}`, 'backend-agent', ...(backendAgents[backend] ? [backendAgents[backend]] : []));
     }
 
     // Mobile agents
-    if (this.projectInfo.mobile) {
-      agents.push('mobile-agent');
-      if (this.projectInfo.mobile === 'flutter') {
-        agents.push('flutter-agent');
-      } else if (this.projectInfo.mobile === 'ios-native') {
-        agents.push('ios-swift-agent');
-      }
+    const mobileAgents = { flutter: 'flutter-agent', 'ios-native': 'ios-swift-agent' };
+    for (const mobile of values('mobile')) {
+      recommend(`mobile: ${mobile}`, 'mobile-agent', ...(mobileAgents[mobile] ? [mobileAgents[mobile]] : []));
     }
 
     // Database agents
-    if (this.projectInfo.database) {
-      agents.push('data-agent', 'database-migration-agent');
+    for (const database of values('database')) {
+      recommend(`database: ${database}`, 'data-agent', 'database-migration-agent');
     }
 
     // Deployment agents
-    if (this.projectInfo.deployment) {
-      agents.push('devops-agent');
-      if (this.projectInfo.deployment === 'docker') {
-        agents.push('docker-container-agent');
-      }
+    for (const deployment of values('deployment')) {
+      recommend(`deployment: ${deployment}`, 'devops-agent', ...(deployment === 'docker' ? ['docker-container-agent'] : []));
     }
 
     // Feature-specific agents
-    if (this.projectInfo.features.includes('authentication')) {
-      agents.push('security-agent');
-    }
-    if (this.projectInfo.features.includes('payment')) {
-      agents.push('payment-agent');
-    }
-    if (this.projectInfo.features.includes('realtime')) {
-      agents.push('websocket-realtime-agent');
-    }
-    if (this.projectInfo.features.includes('internationalization')) {
-      agents.push('localization-agent');
+    const featureAgents = {
+      authentication: 'security-agent',
+      payment: 'payment-agent',
+      realtime: 'websocket-realtime-agent',
+      internationalization: 'localization-agent'
+    };
+    for (const [feature, agent] of Object.entries(featureAgents)) {
+      if (features.includes(feature)) {
+        recommend(`feature: ${feature}`, agent);
+      }
     }
 
-    // Remove duplicates
-    return [...new Set(agents)];
+    return recommendations;
   }
 }
 
-export default ProjectAnalyzer;
\ No newline at end of file
+export default ProjectAnalyzer;
+
+// Installs from before scripts/analyze.js still run this module from their
+// package.json; hand over to the command's exported entry point
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  import('../scripts/analyze.js')
+    .then(({ main }) => main())
+    .catch(error => {
+      console.error(error.stack || error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,136 @@
+import { matchGlob } from './glob-matcher.js';
+import { detectedValues } from './detections.js';
+
+/**
+ * Agent chain resolution
+ * Infers a chain from the task and evaluates conditional phases against files and project info
+ */
+
+export const CONDITION_KEYS = ['files', 'allFiles', 'noFiles', 'project', 'task'];
+export const PROJECT_FIELDS = ['type', 'frontend', 'backend', 'mobile', 'database', 'deployment', 'testing', 'features'];
+
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Check one project field: true/false test presence, a string or list tests the value
+ */
+function matchProjectField(actual, expected) {
+  const present = Array.isArray(actual) ? actual.length > 0 : Boolean(actual);
+  if (expected === true) return present;
+  if (expected === false) return !present;
+
+  const actualValues = Array.isArray(actual) ? actual : [actual];
+  return toList(expected).some(value => actualValues.includes(value));
+}
+
+/**
+ * Evaluate a condition; every key present must hold
+ *
+ *   files:    any file matches one of the globs
+ *   allFiles: there are files and every one matches
+ *   noFiles:  no file matches
+ *   project:  projectInfo fields, e.g. { mobile: true, backend: [firebase, supabase] };
+ *             any detected value of a field matches, not only its primary one
+ *   task:     a keyword rule that must match the task
+ */
+export function evaluateCondition(condition, { files = [], projectInfo = {}, taskDoc, matcher }) {
+  const matchesAny = globs => file => toList(globs).some(glob => matchGlob(file, glob));
+
+  if (condition.files !== undefined && !files.some(matchesAny(condition.files))) return false;
+  if (condition.allFiles !== undefined && (files.length === 0 || !files.every(matchesAny(condition.allFiles)))) return false;
+  if (condition.noFiles !== undefined && files.some(matchesAny(condition.noFiles))) return false;
+
+  for (const [field, expected] of Object.entries(condition.project || {})) {
+    if (!matchProjectField(detectedValues(projectInfo, field), expected)) return false;
+  }
+
+  if (condition.task !== undefined && matcher.match(taskDoc, condition.task).hits === 0) return false;
+
+  return true;
+}
+
+function isActive(entry, facts) {
+  if (entry.when && !evaluateCondition(entry.when, facts)) return 'when';
+  if (entry.unless && evaluateCondition(entry.unless, facts)) return 'unless';
+  return null;
+}
+
+/**
+ * Resolve a chain's phases for the current files and project,
+ * dropping agents and phases whose conditions do not hold
+ */
+export function resolveChain(phases, facts) {
+  const resolved = [];
+  const skipped = [];
+
+  phases.forEach((phase, index) => {
+    const phaseMiss = isActive(phase, facts);
+    if (phaseMiss) {
+      skipped.push({ phase: index, agents: phase.agents.map(a => a.agent || a), reason: `phase ${phaseMiss} condition` });
+      return;
+    }
+
+    const agents = [];
+    for (const entry of phase.agents) {
+      if (typeof entry === 'string') {
+        agents.push(entry);
+        continue;
+      }
+      const agentMiss = isActive(entry, facts);
+      if (agentMiss) {
+        skipped.push({ phase: index, agents: [entry.agent], reason: `agent ${agentMiss} condition` });
+      } else {
+        agents.push(entry.agent);
+      }
+    }
+
+    if (agents.length > 0) {
+      resolved.push({ agents, parallel: phase.parallel });
+    }
+  });
+
+  return { phases: resolved, skipped };
+}
+
+/**
+ * Pick the chain whose trigger keywords match the task most often. `minCues`
+ * is the number of different trigger keywords a chain needs, either one
+ * number for every chain or a mapping of chain name to number (1 when not
+ * listed): "fix" alone is as likely a typo fix as a bug report, "fix the
+ * crash" is not
+ */
+export function inferChain(chainTriggers, { taskDoc, matcher, minCues = 1 }) {
+  let best = null;
+
+  for (const [chain, rule] of Object.entries(chainTriggers)) {
+    const { hits, matched } = matcher.match(taskDoc, rule);
+    const needed = typeof minCues === 'number' ? minCues : minCues[chain] ?? 1;
+    if (new Set(matched).size >= needed && (!best || hits > best.hits)) {
+      best = { chain, rule, matched, hits };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Staff the chain's first parallel phase with the specialists the task matched
+ * instead of its fixed agent list (or add them as a new parallel phase before
+ * the last one). Fixed agents the task scored, even below the threshold, keep
+ * their place; the fixed list stays when the task matched no specialist.
+ */
+export function mergeIntoChain(phases, agents, scored = []) {
+  const target = phases.findIndex(phase => phase.parallel);
+  const covered = new Set(phases.filter((_, index) => index !== target).flatMap(phase => phase.agents));
+  const extra = agents.filter(agent => !covered.has(agent) && agent !== 'general-purpose');
+  if (extra.length === 0) return phases;
+
+  const merged = phases.map(phase => ({ ...phase, agents: [...phase.agents] }));
+  if (target !== -1) {
+    const kept = merged[target].agents.filter(agent => scored.includes(agent));
+    merged[target].agents = [...new Set([...kept, ...extra])];
+  } else {
+    merged.splice(Math.max(merged.length - 1, 0), 0, { agents: extra, parallel: true });
+  }
+  return merged;
+}
@@ -0,0 +1,222 @@
+import { openSync, readSync, closeSync, statSync } from 'fs';
+import { resolve, extname } from 'path';
+
+/**
+ * Content scanner for routing
+ * Maps imports, SQL statements, GraphQL SDL and decorators in touched files to agents
+ */
+
+// Package specifier → agents; a trailing "*" matches any package with that prefix
+export const DEFAULT_IMPORT_RULES = {
+  'stripe': ['payment-agent'],
+  '@stripe/*': ['payment-agent'],
+  '@paypal/*': ['payment-agent'],
+  'bullmq': ['background-jobs-agent'],
+  'bull': ['background-jobs-agent'],
+  'bee-queue': ['background-jobs-agent'],
+  'agenda': ['background-jobs-agent'],
+  'node-cron': ['background-jobs-agent'],
+  'inngest': ['background-jobs-agent'],
+  'celery': ['background-jobs-agent'],
+  'socket.io': ['websocket-realtime-agent'],
+  'socket.io-client': ['websocket-realtime-agent'],
+  'ws': ['websocket-realtime-agent'],
+  'pusher': ['websocket-realtime-agent'],
+  'pusher-js': ['websocket-realtime-agent'],
+  'ably': ['websocket-realtime-agent'],
+  '@supabase/supabase-js': ['backend-agent', 'security-agent'],
+  'firebase': ['firebase-backend-agent'],
+  'firebase-admin': ['firebase-backend-agent'],
+  'firebase-functions': ['firebase-backend-agent'],
+  '@react-native-firebase/*': ['firebase-backend-agent', 'mobile-agent'],
+  '@aws-sdk/*': ['aws-backend-agent'],
+  'aws-sdk': ['aws-backend-agent'],
+  'aws-cdk-lib': ['aws-backend-agent'],
+  'boto3': ['aws-backend-agent'],
+  '@elastic/elasticsearch': ['search-indexing-agent'],
+  'algoliasearch': ['search-indexing-agent'],
+  'meilisearch': ['search-indexing-agent'],
+  'typesense': ['search-indexing-agent'],
+  'redis': ['caching-performance-agent'],
+  'ioredis': ['caching-performance-agent'],
+  '@upstash/redis': ['caching-performance-agent'],
+  'nodemailer': ['email-communication-agent'],
+  '@sendgrid/mail': ['email-communication-agent'],
+  'resend': ['email-communication-agent'],
+  'postmark': ['email-communication-agent'],
+  'twilio': ['email-communication-agent'],
+  '@react-email/*': ['email-communication-agent'],
+  'openai': ['ai-ml-integration-agent'],
+  '@anthropic-ai/sdk': ['ai-ml-integration-agent'],
+  'langchain': ['ai-ml-integration-agent'],
+  '@langchain/*': ['ai-ml-integration-agent'],
+  '@pinecone-database/*': ['ai-ml-integration-agent'],
+  'graphql': ['api-graphql-agent'],
+  'graphql-yoga': ['api-graphql-agent'],
+  '@apollo/*': ['api-graphql-agent'],
+  '@nestjs/graphql': ['api-graphql-agent'],
+  '@prisma/client': ['data-agent'],
+  'knex': ['data-agent', 'database-migration-agent'],
+  'typeorm': ['data-agent'],
+  'drizzle-orm': ['data-agent'],
+  'sequelize': ['data-agent'],
+  'mongoose': ['data-agent'],
+  'pg': ['data-agent'],
+  'mysql2': ['data-agent'],
+  'sqlalchemy': ['data-agent'],
+  'alembic': ['database-migration-agent'],
+  'i18next': ['localization-agent'],
+  'react-i18next': ['localization-agent'],
+  'next-intl': ['localization-agent'],
+  'vue-i18n': ['localization-agent'],
+  '@formatjs/*': ['localization-agent'],
+  'react-native': ['mobile-agent'],
+  'expo': ['mobile-agent'],
+  'expo-*': ['mobile-agent'],
+  'workbox-*': ['pwa-offline-agent'],
+  'next-pwa': ['pwa-offline-agent'],
+  '@sentry/*': ['monitoring-observability-agent'],
+  '@opentelemetry/*': ['monitoring-observability-agent'],
+  'dd-trace': ['monitoring-observability-agent'],
+  'prom-client': ['monitoring-observability-agent'],
+  'jsonwebtoken': ['security-agent'],
+  'jose': ['security-agent'],
+  'bcrypt': ['security-agent'],
+  'bcryptjs': ['security-agent'],
+  'argon2': ['security-agent'],
+  'passport': ['security-agent'],
+  'next-auth': ['security-agent'],
+  '@auth/*': ['security-agent'],
+  'express': ['backend-agent'],
+  'fastify': ['backend-agent'],
+  'koa': ['backend-agent'],
+  'hono': ['backend-agent'],
+  '@nestjs/core': ['backend-agent']
+};
+
+// Statement, SDL and decorator patterns found in file bodies
+export const CONTENT_PATTERNS = [
+  { kind: 'sql', rule: 'sql ddl', test: /\b(create|alter|drop)\s+(table|index|view|schema)\b/i, agents: ['database-migration-agent', 'data-agent'] },
+  { kind: 'sql', rule: 'sql query', test: /\b(select\s+[\w*,\s."]{1,200}?\s+from\s+\w|insert\s+into\s+\w|update\s+\w+\s+set\s)/i, agents: ['data-agent'] },
+  { kind: 'graphql', rule: 'graphql sdl', test: /\b(type\s+(Query|Mutation|Subscription)\s*\{|schema\s*\{\s*query\b|extend\s+type\s+\w+)/, agents: ['api-graphql-agent'] },
+  { kind: 'graphql', rule: 'graphql tagged template', test: /\b(gql|graphql)\s*`/, agents: ['api-graphql-agent'] },
+  { kind: 'decorator', rule: '@Controller/@Injectable', test: /@(Controller|Injectable|Module)\(/, agents: ['backend-agent'] },
+  { kind: 'decorator', rule: '@Resolver/@ObjectType', test: /@(Resolver|ObjectType|InputType)\(/, agents: ['api-graphql-agent'] },
+  { kind: 'decorator', rule: '@WebSocketGateway', test: /@(WebSocketGateway|SubscribeMessage)\(/, agents: ['websocket-realtime-agent'] },
+  { kind: 'decorator', rule: '@Processor/@Cron', test: /@(Processor|Process|Cron|Interval)\(|@(shared_task|app\.task)\b/, agents: ['background-jobs-agent'] },
+  { kind: 'decorator', rule: '@Entity/@Column', test: /@(Entity|Column|PrimaryGeneratedColumn)\(/, agents: ['data-agent'] },
+  { kind: 'decorator', rule: '@UseGuards', test: /@UseGuards\(/, agents: ['security-agent'] },
+  { kind: 'decorator', rule: '@app.route', test: /@(app|router|bp)\.(route|get|post|put|patch|delete)\(/, agents: ['backend-agent'] }
+];
+
+const JS_IMPORTS = [
+  /\bimport\s+(?:[\w*{}\s,$]+?\s+from\s+)?['"]([^'"]+)['"]/g,
+  /\bexport\s+[\w*{}\s,$]+?\s+from\s+['"]([^'"]+)['"]/g,
+  /\b(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/g
+];
+const PY_IMPORTS = [/^\s*from\s+([\w.]+)\s+import\b/gm, /^\s*import\s+([\w.]+)/gm];
+
+/**
+ * Reduce an import specifier to its package name ("@aws-sdk/client-s3/dist" → "@aws-sdk/client-s3")
+ */
+export function packageName(specifier) {
+  if (specifier.startsWith('.') || specifier.startsWith('/') || specifier.startsWith('node:')) return null;
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+export class ContentScanner {
+  constructor(options = {}) {
+    this.root = options.root || process.cwd();
+    this.maxBytes = options.maxBytes ?? 256 * 1024;
+    this.maxFiles = options.maxFiles ?? 200;
+    this.importRules = { ...DEFAULT_IMPORT_RULES, ...options.importRules };
+    this.cache = new Map();
+  }
+
+  /**
+   * Scan a list of files, reusing cached results for files that have not changed
+   */
+  scan(files) {
+    return files.slice(0, this.maxFiles).map(file => this.scanFile(file));
+  }
+
+  /**
+   * Scan one file; only the first maxBytes are read
+   */
+  scanFile(file) {
+    const path = resolve(this.root, file);
+
+    let stat;
+    try {
+      stat = statSync(path);
+    } catch {
+      return { file, skipped: 'missing', hits: [] };
+    }
+    if (!stat.isFile()) return { file, skipped: 'not a file', hits: [] };
+
+    // Keyed on the resolved path, so "./a.js" and "a.js" share an entry; the
+    // result names the file the way this caller did
+    const cached = this.cache.get(path);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return { ...cached.result, file };
+    }
+
+    const text = this.readHead(path, stat.size);
+    const result = text === null
+      ? { file, skipped: 'binary', hits: [] }
+      : { file, truncated: stat.size > this.maxBytes, hits: this.detect(text, extname(file)) };
+
+    this.cache.set(path, { mtimeMs: stat.mtimeMs, size: stat.size, result });
+    return result;
+  }
+
+  readHead(path, size) {
+    const buffer = Buffer.alloc(Math.min(size, this.maxBytes));
+    const fd = openSync(path, 'r');
+    try {
+      readSync(fd, buffer, 0, buffer.length, 0);
+    } finally {
+      closeSync(fd);
+    }
+    return buffer.includes(0) ? null : buffer.toString('utf8');
+  }
+
+  /**
+   * Find import, SQL, GraphQL and decorator hits in file text
+   */
+  detect(text, extension) {
+    const hits = [];
+    const seen = new Set();
+
+    const importPatterns = extension === '.py' ? PY_IMPORTS : JS_IMPORTS;
+    for (const pattern of importPatterns) {
+      for (const match of text.matchAll(pattern)) {
+        const specifier = extension === '.py' ? match[1].split('.')[0] : packageName(match[1]);
+        const rule = specifier && this.findImportRule(specifier);
+        if (rule && !seen.has(rule)) {
+          seen.add(rule);
+          hits.push({ kind: 'import', rule: `import ${rule}`, match: specifier, agents: this.importRules[rule] });
+        }
+      }
+    }
+
+    for (const { kind, rule, test, agents } of CONTENT_PATTERNS) {
+      const match = text.match(test);
+      if (match) {
+        hits.push({ kind, rule, match: match[0].trim().slice(0, 60), agents });
+      }
+    }
+
+    return hits;
+  }
+
+  findImportRule(specifier) {
+    if (this.importRules[specifier]) return specifier;
+    return Object.keys(this.importRules).find(rule =>
+      rule.endsWith('*') && specifier.startsWith(rule.slice(0, -1))
+    ) || null;
+  }
+}
+
+export default ContentScanner;
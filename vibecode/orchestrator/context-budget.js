@@ -0,0 +1,174 @@
+import { wordForms } from './keyword-matcher.js';
+
+/**
+ * Context budget for execution plans
+ * Estimates how much spec text a plan loads and trims it to a token budget by
+ * attaching only relevant spec sections, merging phases or dropping low-score agents
+ */
+
+export const BUDGET_STRATEGIES = ['sections', 'merge', 'drop'];
+
+// Spec sections every trimmed spec keeps
+const BASE_SECTIONS = ['Role', 'Core Responsibilities', 'Expertise'];
+
+export function estimateTokens(chars, charsPerToken = 4) {
+  return Math.ceil(chars / charsPerToken);
+}
+
+/**
+ * Pick the spec units worth attaching for a task: the base sections plus the
+ * maxSections units whose title or text mention the task's words most
+ */
+export function selectRelevantUnits(units, terms, { maxSections = 3 } = {}) {
+  const forms = new Set(terms.flatMap(term => [...wordForms(term)]));
+  const words = text => new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+  const overlap = set => [...set].filter(word => forms.has(word)).length;
+
+  const base = units.filter(unit => BASE_SECTIONS.includes(unit.section));
+  const relevant = units
+    .filter(unit => !BASE_SECTIONS.includes(unit.section))
+    .map(unit => ({ unit, score: 3 * overlap(words(unit.title)) + overlap(words(unit.content)) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxSections)
+    .map(({ unit }) => unit);
+
+  return [...base, ...relevant];
+}
+
+/**
+ * Fold a phase into the one before it. The result runs in parallel when no
+ * agent of `next` depends on one of `target`; otherwise `waitsOn` lists, for
+ * each agent of `next`, the agents of `target` it waits on.
+ */
+function mergePhases(target, next, dependsOn) {
+  const waitsOn = { ...target.waitsOn, ...next.waitsOn };
+  for (const agent of next.agents) {
+    const needs = target.agents.filter(other => dependsOn(agent, other));
+    if (needs.length > 0) waitsOn[agent] = [...new Set([...(waitsOn[agent] || []), ...needs])];
+  }
+
+  const ordered = Object.keys(waitsOn).length > 0;
+  const parallel = phase => phase.parallel || phase.agents.length === 1;
+  const merged = {
+    ...target,
+    agents: [...new Set([...target.agents, ...next.agents])],
+    parallel: !ordered && parallel(target) && parallel(next)
+  };
+  if (ordered) merged.waitsOn = waitsOn;
+  if (next.implicit) merged.implicit = [...(target.implicit || []), ...next.implicit];
+  return merged;
+}
+
+/**
+ * Trim an execution plan to a token budget
+ *
+ * The cost of a plan is the spec text of every agent in it (full, or only the
+ * selected sections) plus a handoff summary from each call of a phase into
+ * each call of the next one, and into each call of the same phase that waits
+ * on it. Strategies run in order until the plan fits:
+ *
+ *   sections  attach only the relevant sections of an agent's spec, lowest score first
+ *   merge     fold two consecutive phases into one, the pair that removes the
+ *             most handoffs first
+ *   drop      remove the lowest-score agent (the top agent is always kept)
+ *
+ * `specs` maps each agent to { tokens, trimmedTokens, sections }, `scores` to its routing score.
+ * `dependsOn(agent, other)` tells whether an agent needs another's output: a
+ * merged phase only runs in parallel when no agent of the later phase depends
+ * on one of the earlier. Otherwise it runs sequentially and its `waitsOn`
+ * maps each later agent to the earlier ones it needs, so only those hand off.
+ * Merging stops once no pair saves anything.
+ */
+export function fitPlanToBudget(plan, {
+  limit, specs, scores = {}, strategies = BUDGET_STRATEGIES, handoffTokens = 400, dependsOn = () => true
+}) {
+  let phases = plan.map(phase => ({ ...phase, agents: [...phase.agents] }));
+  const modes = {};
+  const cuts = [];
+
+  const agentsInPlan = (list = phases) => [...new Set(list.flatMap(phase => phase.agents))];
+  const specCost = agent => {
+    const spec = specs[agent] || { tokens: 0, trimmedTokens: 0 };
+    return modes[agent] === 'sections' ? spec.trimmedTokens : spec.tokens;
+  };
+  const cost = (list = phases) => {
+    const specTotal = agentsInPlan(list).reduce((sum, agent) => sum + specCost(agent), 0);
+    const between = list.slice(1).reduce((sum, phase, i) => sum + phase.agents.length * list[i].agents.length, 0);
+    const within = list.reduce((sum, phase) => sum + Object.values(phase.waitsOn || {}).flat().length, 0);
+    return specTotal + (between + within) * handoffTokens;
+  };
+  const byScore = () => agentsInPlan().sort((a, b) => (scores[a] ?? 0) - (scores[b] ?? 0));
+
+  const estimated = cost();
+
+  for (const strategy of strategies) {
+    if (strategy === 'sections') {
+      for (const agent of byScore()) {
+        if (cost() <= limit) break;
+        const spec = specs[agent];
+        if (!spec || spec.trimmedTokens >= spec.tokens) continue;
+
+        const before = cost();
+        modes[agent] = 'sections';
+        cuts.push({ strategy, agent, saved: before - cost() });
+      }
+    } else if (strategy === 'merge') {
+      while (cost() > limit) {
+        const before = cost();
+        // Try every pair of consecutive phases and keep the merge that saves most, the latest on ties
+        const options = phases.slice(1).map((next, i) => [
+          ...phases.slice(0, i),
+          mergePhases(phases[i], next, dependsOn),
+          ...phases.slice(i + 2)
+        ]);
+        const index = options.reduce((best, option, i) => (cost(option) <= cost(options[best]) ? i : best), 0);
+        if (options.length === 0 || cost(options[index]) >= before) break;
+
+        phases = options[index];
+        cuts.push({ strategy, phases: [index + 1, index + 2], sequential: !phases[index].parallel, saved: before - cost() });
+      }
+    } else if (strategy === 'drop') {
+      const [top] = [...byScore()].reverse();
+      for (const agent of byScore()) {
+        if (cost() <= limit || agent === top) break;
+
+        const before = cost();
+        phases = phases
+          .map(phase => {
+            const trimmed = { ...phase, agents: phase.agents.filter(a => a !== agent) };
+            if (phase.implicit) trimmed.implicit = phase.implicit.filter(a => a !== agent);
+            if (trimmed.implicit?.length === 0) delete trimmed.implicit;
+            if (phase.waitsOn) {
+              trimmed.waitsOn = Object.fromEntries(Object.entries(phase.waitsOn)
+                .filter(([waiting]) => waiting !== agent)
+                .map(([waiting, needs]) => [waiting, needs.filter(a => a !== agent)])
+                .filter(([, needs]) => needs.length > 0));
+              if (Object.keys(trimmed.waitsOn).length === 0) delete trimmed.waitsOn;
+            }
+            return trimmed;
+          })
+          .filter(phase => phase.agents.length > 0);
+        cuts.push({ strategy, agent, score: scores[agent] ?? 0, saved: before - cost() });
+      }
+    }
+  }
+
+  const used = cost();
+  return {
+    phases,
+    report: {
+      limit,
+      estimated,
+      used,
+      within: used <= limit,
+      cuts,
+      specs: Object.fromEntries(agentsInPlan().map(agent => [
+        agent,
+        modes[agent] === 'sections'
+          ? { mode: 'sections', tokens: specs[agent].trimmedTokens, sections: specs[agent].sections }
+          : { mode: 'full', tokens: specs[agent]?.tokens ?? 0 }
+      ]))
+    }
+  };
+}
@@ -0,0 +1,291 @@
+import { readFileSync, readdirSync, existsSync, writeFileSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+/**
+ * Golden-corpus harness for routing rules
+ * Runs fixture cases through AgentRouter.route() and reports agents added or
+ * lost; module checks (test/checks in the repository) run one orchestrator
+ * module on a fixture and compare what it returns or throws
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const BUNDLED_CORPUS_DIR = join(__dirname, 'corpus');
+export const PROJECT_CORPUS_DIR = join('.vibecode', 'corpus');
+
+const CASE_KEYS = ['name', 'task', 'files', 'projectInfo', 'context', 'expect'];
+const EXPECT_KEYS = ['agents', 'include', 'exclude', 'plan', 'chain'];
+const CHECK_KEYS = ['name', 'check', 'input', 'expect'];
+const CHECK_EXPECT_KEYS = ['result', 'error'];
+
+export class CorpusError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid corpus (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n` +
+      problems.map(p => `  - ${p.file}${p.case ? ` "${p.case}"` : ''}: ${p.message}`).join('\n')
+    );
+    this.name = 'CorpusError';
+    this.problems = problems;
+  }
+}
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isMapping = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Check one case, returning a list of problem messages
+ */
+export function validateCase(testCase) {
+  if (!isMapping(testCase)) return ['case must be a mapping'];
+
+  const problems = [];
+  for (const key of Object.keys(testCase)) {
+    if (!CASE_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+  if (typeof testCase.name !== 'string' || !testCase.name.trim()) problems.push('"name" must be a non-empty string');
+  if (typeof testCase.task !== 'string' || !testCase.task.trim()) problems.push('"task" must be a non-empty string');
+  if (testCase.files !== undefined && !isStringList(testCase.files)) problems.push('"files" must be a list of paths');
+  if (testCase.projectInfo !== undefined && !isMapping(testCase.projectInfo)) problems.push('"projectInfo" must be a mapping');
+  if (testCase.context !== undefined && !isMapping(testCase.context)) problems.push('"context" must be a mapping');
+
+  const { expect } = testCase;
+  if (!isMapping(expect) || !EXPECT_KEYS.some(key => key in expect)) {
+    problems.push(`"expect" must set at least one of ${EXPECT_KEYS.join(', ')}`);
+    return problems;
+  }
+  for (const key of Object.keys(expect)) {
+    if (!EXPECT_KEYS.includes(key)) problems.push(`unknown expectation "${key}"`);
+  }
+  for (const key of ['agents', 'include', 'exclude']) {
+    if (expect[key] !== undefined && !isStringList(expect[key])) problems.push(`"expect.${key}" must be a list of agents`);
+  }
+  if (expect.plan !== undefined && !(Array.isArray(expect.plan) && expect.plan.every(isStringList))) {
+    problems.push('"expect.plan" must be a list of phases, each a list of agents');
+  }
+  if (expect.chain !== undefined && expect.chain !== null && typeof expect.chain !== 'string') {
+    problems.push('"expect.chain" must be a chain name, or null for dynamic routing');
+  }
+  return problems;
+}
+
+/**
+ * Check one module check, returning a list of problem messages
+ */
+export function validateCheck(testCase, checks) {
+  if (!isMapping(testCase)) return ['case must be a mapping'];
+
+  const problems = [];
+  for (const key of Object.keys(testCase)) {
+    if (!CHECK_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+  if (typeof testCase.name !== 'string' || !testCase.name.trim()) problems.push('"name" must be a non-empty string');
+  if (!Object.hasOwn(checks, testCase.check)) problems.push(`"check" must be one of ${Object.keys(checks).join(', ')}`);
+  if (testCase.input !== undefined && !isMapping(testCase.input)) problems.push('"input" must be a mapping');
+  if (testCase.input?.files !== undefined && !isMapping(testCase.input.files)) problems.push('"input.files" must map paths to contents');
+
+  const { expect } = testCase;
+  if (!isMapping(expect) || CHECK_EXPECT_KEYS.filter(key => key in expect).length !== 1) {
+    problems.push(`"expect" must set one of ${CHECK_EXPECT_KEYS.join(', ')}`);
+  } else if (expect.error !== undefined && typeof expect.error !== 'string') {
+    problems.push('"expect.error" must be text the error message contains');
+  }
+  return problems;
+}
+
+/**
+ * Load every *.yml case file in a directory; each file holds a list of cases
+ */
+export function loadCorpus(dir, { label = dir } = {}) {
+  return loadCaseFiles(dir, label, validateCase);
+}
+
+/**
+ * Load the module checks in a directory, for the check functions given
+ */
+export function loadChecks(dir, checks, { label = dir } = {}) {
+  return loadCaseFiles(dir, label, testCase => validateCheck(testCase, checks));
+}
+
+function loadCaseFiles(dir, label, validate) {
+  if (!existsSync(dir)) return [];
+
+  const cases = [];
+  const problems = [];
+  const files = readdirSync(dir).filter(f => f.endsWith('.yml') || f.endsWith('.yaml')).sort();
+
+  for (const file of files) {
+    const path = join(dir, file);
+    const display = join(label, file);
+    let data;
+    try {
+      data = yaml.load(readFileSync(path, 'utf8'));
+    } catch (error) {
+      problems.push({ file: display, message: `malformed YAML: ${error.reason || error.message}` });
+      continue;
+    }
+    if (!Array.isArray(data)) {
+      problems.push({ file: display, message: 'must be a list of cases' });
+      continue;
+    }
+
+    data.forEach((testCase, index) => {
+      const messages = validate(testCase);
+      if (messages.length > 0) {
+        const name = testCase?.name || `#${index + 1}`;
+        problems.push(...messages.map(message => ({ file: display, case: name, message })));
+      } else {
+        cases.push({ ...testCase, file: display });
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new CorpusError(problems);
+  }
+  return cases;
+}
+
+/**
+ * Route one case and compare the result with its expectations
+ *
+ * "added" lists agents that were selected but should not have been,
+ * "lost" agents that should have been selected but were not.
+ */
+export function runCase(router, testCase) {
+  const { task, files = [], projectInfo, context = {}, expect } = testCase;
+  const result = router.route(task, {
+    ...context,
+    files,
+    ...(projectInfo && { projectInfo }),
+    log: false,
+    session: false
+  });
+
+  const agents = [...new Set(result.executionPlan.flatMap(phase => phase.agents))];
+  const plan = result.executionPlan.map(phase => [...phase.agents].sort());
+  const added = new Set();
+  const lost = new Set();
+
+  if (expect.agents) {
+    agents.filter(agent => !expect.agents.includes(agent)).forEach(agent => added.add(agent));
+    expect.agents.filter(agent => !agents.includes(agent)).forEach(agent => lost.add(agent));
+  }
+  (expect.include || []).filter(agent => !agents.includes(agent)).forEach(agent => lost.add(agent));
+  (expect.exclude || []).filter(agent => agents.includes(agent)).forEach(agent => added.add(agent));
+
+  const failures = [];
+  if (added.size > 0 || lost.size > 0) failures.push('agents');
+
+  const chain = result.type === 'chain' ? result.chainType : null;
+  if (expect.chain !== undefined && expect.chain !== chain) failures.push('chain');
+
+  if (expect.plan) {
+    const expected = expect.plan.map(phase => [...phase].sort());
+    if (JSON.stringify(expected) !== JSON.stringify(plan)) failures.push('plan');
+  }
+
+  return {
+    name: testCase.name,
+    file: testCase.file,
+    passed: failures.length === 0,
+    failures,
+    added: [...added],
+    lost: [...lost],
+    agents,
+    plan,
+    chain,
+    expect
+  };
+}
+
+/**
+ * Run cases and summarize the outcome
+ */
+export function runCorpus(router, cases) {
+  const results = cases.map(testCase => runCase(router, testCase));
+  return {
+    total: results.length,
+    failed: results.filter(r => !r.passed).length,
+    results
+  };
+}
+
+/**
+ * Whether actual has every expected value: mappings may hold more keys,
+ * lists must match item by item
+ */
+export function matchesExpected(expected, actual) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && actual.length === expected.length &&
+      expected.every((item, index) => matchesExpected(item, actual[index]));
+  }
+  if (isMapping(expected)) {
+    return isMapping(actual) && Object.entries(expected).every(([key, value]) => matchesExpected(value, actual[key]));
+  }
+  return expected === actual;
+}
+
+/**
+ * Write { path: content } files below a directory
+ */
+export function writeFiles(root, files = {}) {
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, file)), { recursive: true });
+    writeFileSync(join(root, file), content ?? '');
+  }
+}
+
+/**
+ * Run one module check; input.files are written to a temporary project
+ * directory that the check gets as root and that is removed afterwards
+ */
+export async function runCheck(checks, testCase) {
+  const { input = {}, expect } = testCase;
+  const root = mkdtempSync(join(tmpdir(), 'vibecode-check-'));
+  let actual;
+  let error = null;
+
+  try {
+    writeFiles(root, input.files);
+    actual = await checks[testCase.check](input, { root });
+  } catch (thrown) {
+    error = thrown.message;
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+
+  const failures = [];
+  if (expect.error !== undefined) {
+    if (error === null || !error.includes(expect.error)) failures.push('error');
+  } else if (error !== null || !matchesExpected(expect.result, actual)) {
+    failures.push('result');
+  }
+
+  return {
+    name: testCase.name,
+    file: testCase.file,
+    passed: failures.length === 0,
+    failures,
+    actual,
+    error,
+    expect
+  };
+}
+
+/**
+ * Run module checks one after another and summarize the outcome
+ */
+export async function runChecks(checks, cases) {
+  const results = [];
+  for (const testCase of cases) {
+    results.push(await runCheck(checks, testCase));
+  }
+  return {
+    total: results.length,
+    failed: results.filter(r => !r.passed).length,
+    results
+  };
+}
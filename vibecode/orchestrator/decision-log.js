@@ -0,0 +1,146 @@
+import { readFileSync, appendFileSync, mkdirSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname } from 'path';
+
+/**
+ * Routing decision log
+ * Appends one JSONL entry per route() call and summarizes the log into rule and agent statistics
+ */
+
+export const DECISION_LOG_PATH = join('.vibecode', 'logs', 'routing.jsonl');
+
+/**
+ * Short, stable hash of a task so the log never holds the task text itself
+ */
+export function hashTask(taskDescription) {
+  return createHash('sha256').update(taskDescription.trim().toLowerCase()).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build the log entry for one routing result
+ */
+export function createDecisionEntry(taskDescription, result) {
+  const rules = (result.explain?.rules || [])
+    .filter(rule => rule.contributions.length > 0 || rule.source === 'file-exclusion')
+    .map(({ source, rule }) => ({ source, rule }));
+
+  if (result.inferred) {
+    rules.unshift({ source: 'chain-trigger', rule: result.chainType });
+  }
+
+  const agents = [...new Set(result.executionPlan.flatMap(phase => phase.agents))];
+
+  return {
+    time: new Date().toISOString(),
+    task: hashTask(taskDescription),
+    type: result.type,
+    ...(result.chainType && { chain: result.chainType }),
+    ...(result.locale && { locale: result.locale }),
+    rules,
+    agents,
+    plan: result.executionPlan.map(phase => ({ size: phase.agents.length, parallel: phase.parallel })),
+    files: result.files.length,
+    fallback: agents.length === 1 && agents[0] === 'general-purpose'
+  };
+}
+
+/**
+ * Append an entry to the log, creating the logs directory on first use
+ */
+export function appendDecision(logPath, entry) {
+  mkdirSync(dirname(logPath), { recursive: true });
+  appendFileSync(logPath, JSON.stringify(entry) + '\n');
+}
+
+const isMapping = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Whether a parsed line has the fields summarizeDecisions reads
+ */
+function isDecisionEntry(entry) {
+  return isMapping(entry) &&
+    typeof entry.type === 'string' &&
+    Array.isArray(entry.rules) &&
+    entry.rules.every(rule => isMapping(rule) && typeof rule.source === 'string' && typeof rule.rule === 'string') &&
+    Array.isArray(entry.agents) && entry.agents.every(agent => typeof agent === 'string') &&
+    Array.isArray(entry.plan) && entry.plan.every(phase => isMapping(phase) && Number.isInteger(phase.size));
+}
+
+/**
+ * Read every entry of a log; lines that are not JSON or not shaped like an
+ * entry (from another tool, or a hand edit) are counted as malformed and skipped
+ */
+export function readDecisionLog(logPath) {
+  if (!existsSync(logPath)) return { entries: [], malformed: 0 };
+
+  const entries = [];
+  let malformed = 0;
+  for (const line of readFileSync(logPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      malformed++;
+      continue;
+    }
+    if (isDecisionEntry(entry)) {
+      entries.push(entry);
+    } else {
+      malformed++;
+    }
+  }
+  return { entries, malformed };
+}
+
+/**
+ * Summarize log entries against the current rules and agents
+ *
+ * `rules` is a list of { source, rule, origin } the router can fire; `agents`
+ * the agents it can pick. Fired and never-fired rules carry the origin of the
+ * listed rule with the same source and text (the first one listed).
+ */
+export function summarizeDecisions(entries, { rules = [], agents = [] } = {}) {
+  const key = ({ source, rule }) => `${source}: ${rule}`;
+  const origins = new Map();
+  for (const rule of rules) {
+    if (rule.origin && !origins.has(key(rule))) origins.set(key(rule), rule.origin);
+  }
+  const ruleCounts = new Map();
+  const agentCounts = new Map();
+  const planShapes = new Map();
+  let fallbacks = 0;
+  let chains = 0;
+
+  for (const entry of entries) {
+    for (const rule of entry.rules) {
+      ruleCounts.set(key(rule), (ruleCounts.get(key(rule)) || 0) + 1);
+    }
+    for (const agent of entry.agents) {
+      agentCounts.set(agent, (agentCounts.get(agent) || 0) + 1);
+    }
+    const shape = entry.plan.map(phase => `${phase.size}${phase.parallel ? 'p' : 's'}`).join(' → ');
+    planShapes.set(shape, (planShapes.get(shape) || 0) + 1);
+    if (entry.fallback) fallbacks++;
+    if (entry.type === 'chain') chains++;
+  }
+
+  const withOrigin = name => (origins.has(name) ? { name, origin: origins.get(name) } : { name });
+  const byCount = map => [...map.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+  return {
+    decisions: entries.length,
+    from: entries[0]?.time ?? null,
+    to: entries[entries.length - 1]?.time ?? null,
+    fallbacks,
+    fallbackRate: entries.length > 0 ? fallbacks / entries.length : 0,
+    chains,
+    rules: byCount(ruleCounts).map(({ name, count }) => ({ ...withOrigin(name), count })),
+    neverFired: [...new Set(rules.map(key))].filter(name => !ruleCounts.has(name)).map(withOrigin),
+    agents: byCount(agentCounts),
+    neverSelected: agents.filter(agent => !agentCounts.has(agent)),
+    planShapes: byCount(planShapes)
+  };
+}
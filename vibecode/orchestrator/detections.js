@@ -0,0 +1,110 @@
+import { posix } from 'path';
+
+/**
+ * Project analyzer detections
+ * Every projectInfo field can hold several detections, each a
+ * { value, confidence, evidence } where evidence lists what triggered it:
+ * { file }, { file, dependency } or { file, key }. The scalar fields keep
+ * the primary value, the most confident detection.
+ */
+
+export const DETECTION_FIELDS = ['frontend', 'backend', 'mobile', 'database', 'deployment', 'testing', 'features'];
+
+// Fields with one primary value; features lists every detected value
+export const PRIMARY_FIELDS = DETECTION_FIELDS.filter(field => field !== 'features');
+
+// Confidence of a detection by the kind of evidence behind it
+export const CONFIDENCE = {
+  dependency: 0.9,   // declared in a manifest
+  config: 0.9,       // the tool's own config file or directory (firebase.json, supabase/)
+  file: 0.6,         // a source file named after the tool
+  hint: 0.4          // a loose file-name match
+};
+
+const round = value => Math.round(value * 100) / 100;
+const sameEvidence = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export function emptyDetections() {
+  return Object.fromEntries(DETECTION_FIELDS.map(field => [field, []]));
+}
+
+/**
+ * Add a detection, or back an existing one with more evidence: independent
+ * pieces combine as 1 - (1 - a)(1 - b), repeated evidence adds nothing
+ */
+export function addDetection(list, value, confidence, evidence) {
+  const existing = list.find(detection => detection.value === value);
+  if (!existing) {
+    list.push({ value, confidence: round(confidence), evidence: [evidence] });
+  } else if (!existing.evidence.some(e => sameEvidence(e, evidence))) {
+    existing.confidence = round(1 - (1 - existing.confidence) * (1 - confidence));
+    existing.evidence.push(evidence);
+  }
+}
+
+/**
+ * Most confident first; equal confidence keeps detection order
+ */
+export function rankDetections(list) {
+  return [...list].sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * The scalar fields for a set of ranked detections
+ */
+export function primaryValues(detections) {
+  const values = Object.fromEntries(PRIMARY_FIELDS.map(field => [field, detections[field][0]?.value ?? null]));
+  return { ...values, features: detections.features.map(detection => detection.value) };
+}
+
+/**
+ * Every detected value of a field; projectInfo without detections (passed in
+ * by hand) falls back to its scalar field
+ */
+export function detectedValues(projectInfo, field) {
+  const detections = projectInfo.detections?.[field];
+  if (detections) return detections.map(detection => detection.value);
+
+  const value = projectInfo[field];
+  if (Array.isArray(value)) return value;
+  return value == null ? [] : [value];
+}
+
+/**
+ * Merge the detections of several directories ([{ path, detections }]):
+ * evidence files become relative to the first one, and a value keeps its
+ * highest confidence
+ */
+export function mergeDetections(sources) {
+  const merged = emptyDetections();
+
+  for (const { path, detections = {} } of sources) {
+    for (const field of DETECTION_FIELDS) {
+      for (const { value, confidence, evidence } of detections[field] || []) {
+        let target = merged[field].find(detection => detection.value === value);
+        if (!target) {
+          target = { value, confidence, evidence: [] };
+          merged[field].push(target);
+        }
+        target.confidence = Math.max(target.confidence, confidence);
+        for (const item of evidence) {
+          const relative = path ? { ...item, file: posix.join(path, item.file) } : item;
+          if (!target.evidence.some(e => sameEvidence(e, relative))) target.evidence.push(relative);
+        }
+      }
+    }
+  }
+
+  for (const field of DETECTION_FIELDS) {
+    merged[field] = rankDetections(merged[field]);
+  }
+  return merged;
+}
+
+/**
+ * One line for a piece of evidence: "package.json: next", "nx.json: workspaceLayout", "firebase.json"
+ */
+export function describeEvidence(evidence) {
+  const detail = evidence.dependency ?? evidence.key;
+  return detail ? `${evidence.file}: ${detail}` : evidence.file;
+}
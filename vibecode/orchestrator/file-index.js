@@ -0,0 +1,185 @@
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { Minimatch } from 'minimatch';
+
+/**
+ * File index for project analysis
+ * Walks the project once, skipping dependency and build folders, .gitignore
+ * and .vibecodeignore entries, so every detector queries the same listing
+ */
+
+export const IGNORE_FILES = ['.gitignore', '.vibecodeignore'];
+
+// Skipped in every project; a "!" line in .vibecodeignore brings one back
+export const DEFAULT_IGNORES = [
+  'node_modules/', '.git/', 'bower_components/', 'vendor/', 'Pods/',
+  'dist/', 'build/', 'out/', 'target/', 'coverage/',
+  '.next/', '.nuxt/', '.svelte-kit/', '.turbo/', '.cache/', '.gradle/', '.dart_tool/',
+  '.venv/', 'venv/', '__pycache__/',
+  // Installed agent specs would otherwise read as project features (payment-agent.md)
+  '.vibecode/', '.claude/', '.cursor/'
+];
+
+/**
+ * Turn one ignore-file line into a rule, relative to the directory holding the file
+ *
+ * Follows .gitignore: "!" re-includes, a trailing "/" matches directories
+ * only, and a pattern without an inner "/" matches at any depth.
+ */
+export function parseIgnoreLine(line, base = '') {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  const dirOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+  if (!pattern) return null;
+
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (!anchored) pattern = `**/${pattern}`;
+  if (base) pattern = `${base}/${pattern}`;
+
+  return { negate, dirOnly, matcher: new Minimatch(pattern, { dot: true }) };
+}
+
+function readIgnoreFile(path, base) {
+  if (!existsSync(path)) return [];
+  return readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .map(line => parseIgnoreLine(line, base))
+    .filter(Boolean);
+}
+
+/**
+ * Whether the last rule matching a path ignores it
+ */
+function isIgnored(rules, path, isDir) {
+  let ignored = false;
+  for (const rule of rules) {
+    if ((!rule.dirOnly || isDir) && rule.matcher.match(path)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+export class FileIndex {
+  /**
+   * options.maxDepth: directory levels below the root to list
+   * options.timeBudget: milliseconds before the walk stops, null for no limit
+   * options.ignore: extra .gitignore-style patterns
+   */
+  constructor(projectRoot, options = {}) {
+    this.root = projectRoot;
+    this.maxDepth = options.maxDepth ?? 8;
+    this.timeBudget = options.timeBudget ?? 2000;
+    this.ignore = options.ignore || [];
+    this.paths = [];
+    this.dirs = new Set();
+    this.stats = { files: 0, dirs: 0, ignored: 0, truncated: null, elapsed: 0 };
+    this.compiled = new Map();
+  }
+
+  /**
+   * Walk the project breadth-first, so a time budget cuts the deepest levels first
+   */
+  build() {
+    const started = Date.now();
+    const rules = [...DEFAULT_IGNORES, ...this.ignore].map(line => parseIgnoreLine(line)).filter(Boolean);
+
+    const queue = [{ dir: '', depth: 1 }];
+    while (queue.length > 0) {
+      if (this.timeBudget !== null && Date.now() - started > this.timeBudget) {
+        this.stats.truncated = 'time';
+        break;
+      }
+
+      const { dir, depth } = queue.shift();
+      // Ignore files apply below their own directory, after the ones above it
+      for (const file of IGNORE_FILES) {
+        rules.push(...readIgnoreFile(join(this.root, dir, file), dir));
+      }
+
+      let entries;
+      try {
+        entries = readdirSync(join(this.root, dir), { withFileTypes: true });
+      } catch {
+        continue;
+      }
+
+      for (const entry of entries.sort((a, b) => (a.name < b.name ? -1 : 1))) {
+        const path = dir ? `${dir}/${entry.name}` : entry.name;
+        const isDir = entry.isDirectory();
+        if (isIgnored(rules, path, isDir)) {
+          this.stats.ignored++;
+          continue;
+        }
+
+        this.paths.push(path);
+        if (!isDir) {
+          this.stats.files++;
+          continue;
+        }
+        this.dirs.add(path);
+        this.stats.dirs++;
+        if (depth < this.maxDepth) {
+          queue.push({ dir: path, depth: depth + 1 });
+        } else {
+          this.stats.truncated = this.stats.truncated || 'depth';
+        }
+      }
+    }
+
+    this.paths.sort();
+    this.stats.elapsed = Date.now() - started;
+    return this;
+  }
+
+  /**
+   * Match patterns the way the glob package does from the project root
+   */
+  matcher(pattern) {
+    let matcher = this.compiled.get(pattern);
+    if (!matcher) {
+      matcher = new Minimatch(pattern);
+      this.compiled.set(pattern, matcher);
+    }
+    return matcher;
+  }
+
+  /**
+   * Every listed path matching any of the patterns and none of options.ignore
+   */
+  findAll(patterns, { ignore = [] } = {}) {
+    const positive = patterns.map(pattern => this.matcher(pattern));
+    const negative = ignore.map(pattern => this.matcher(pattern));
+    return this.paths.filter(path =>
+      positive.some(m => m.match(path)) && !negative.some(m => m.match(path))
+    );
+  }
+
+  /**
+   * First path matching the patterns, tried in order, or null
+   */
+  find(patterns) {
+    for (const pattern of patterns) {
+      const matcher = this.matcher(pattern);
+      const path = this.paths.find(p => matcher.match(p));
+      if (path) return path;
+    }
+    return null;
+  }
+
+  /**
+   * The part of the index below a directory, with paths relative to it
+   * Workspace packages are analyzed from the root's index instead of walking again.
+   */
+  subtree(dir) {
+    const prefix = `${dir}/`;
+    const view = new FileIndex(join(this.root, dir), { maxDepth: this.maxDepth, timeBudget: this.timeBudget });
+    view.paths = this.paths.filter(path => path.startsWith(prefix)).map(path => path.slice(prefix.length));
+    view.dirs = new Set([...this.dirs].filter(path => path.startsWith(prefix)).map(path => path.slice(prefix.length)));
+    view.stats = { ...this.stats, files: view.paths.length - view.dirs.size, dirs: view.dirs.size };
+    return view;
+  }
+}
@@ -0,0 +1,65 @@
+import { execFileSync } from 'child_process';
+
+/**
+ * Changed-file sources for routing, read from the local git repository
+ * Supports uncommitted changes, staged changes and commit ranges
+ */
+
+export const GIT_SOURCES = ['working', 'staged'];
+
+export class GitSourceError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'GitSourceError';
+    this.cause = cause;
+  }
+}
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (error) {
+    const detail = error.stderr?.toString().trim() || error.message;
+    throw new GitSourceError(`git ${args.join(' ')} failed: ${detail}`, error);
+  }
+}
+
+function splitPaths(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+/**
+ * List files changed in the given source, relative to cwd
+ *
+ * - 'working': every uncommitted change, staged or not, plus untracked files
+ * - 'staged': changes in the index only
+ * - 'base..head', 'base...head' or a single ref (compared with HEAD): a commit range
+ */
+export function listChangedFiles(source, { cwd = process.cwd() } = {}) {
+  if (!source || typeof source !== 'string') {
+    throw new GitSourceError(`Unknown git source ${JSON.stringify(source)}; use "working", "staged" or "base..head"`);
+  }
+
+  git(['rev-parse', '--is-inside-work-tree'], cwd);
+
+  let files;
+  if (source === 'working') {
+    files = [
+      ...splitPaths(git(['diff', '--name-only', '--relative', '-z'], cwd)),
+      ...splitPaths(git(['diff', '--name-only', '--relative', '-z', '--cached'], cwd)),
+      ...splitPaths(git(['ls-files', '--others', '--exclude-standard', '-z'], cwd))
+    ];
+  } else if (source === 'staged') {
+    files = splitPaths(git(['diff', '--name-only', '--relative', '-z', '--cached'], cwd));
+  } else {
+    const range = source.includes('..') ? source : `${source}..HEAD`;
+    if (range.startsWith('-') || /\.\.\.?$/.test(range) || range.startsWith('..')) {
+      throw new GitSourceError(`Invalid commit range "${source}"; expected "base..head"`);
+    }
+    files = splitPaths(git(['diff', '--name-only', '--relative', '-z', range, '--'], cwd));
+  }
+
+  return [...new Set(files)].sort();
+}
+
+export default listChangedFiles;
@@ -0,0 +1,54 @@
+import { Minimatch } from 'minimatch';
+
+/**
+ * Glob matching for routing rules
+ * Same semantics as the glob package (minimatch): braces, character classes,
+ * "!" negation, basename matching for patterns without a slash and dotfiles
+ */
+
+const compiled = new Map();
+
+/**
+ * Compile a glob once and reuse it for every file
+ */
+export function compileGlob(pattern) {
+  let matcher = compiled.get(pattern);
+  if (!matcher) {
+    matcher = new Minimatch(pattern, {
+      dot: true,
+      // "Dockerfile*" should match services/api/Dockerfile
+      matchBase: !pattern.replace(/^!/, '').includes('/'),
+      nocomment: true
+    });
+    compiled.set(pattern, matcher);
+  }
+  return matcher;
+}
+
+/**
+ * Normalize Windows separators and a leading "./" before matching
+ */
+export function normalizePath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+/**
+ * Match a path against one glob or a list of globs
+ *
+ * A list matches when any positive glob matches and no "!" glob excludes the path.
+ */
+export function matchGlob(filePath, patterns) {
+  const path = normalizePath(filePath);
+
+  if (!Array.isArray(patterns)) {
+    return compileGlob(patterns).match(path);
+  }
+
+  const positive = patterns.filter(p => !p.startsWith('!'));
+  const negative = patterns.filter(p => p.startsWith('!'));
+
+  return (positive.length === 0 || positive.some(p => compileGlob(p).match(path))) &&
+    negative.every(p => compileGlob(p).match(path));
+}
+
+export default matchGlob;
@@ -0,0 +1,204 @@
+/**
+ * Token-aware keyword matcher for task descriptions
+ * Matches whole words and phrases, tolerates plurals and verb forms,
+ * expands synonyms and ignores keywords inside a negation ("without tests").
+ * With locales, it detects the task's language and uses that language's
+ * negation words and word endings.
+ */
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const CLAUSE_BREAK = /[.,;:!?()\n]/;
+
+const DEFAULT_NEGATION = {
+  cues: ['no', 'not', 'without', 'skip', 'skipping', 'except', 'excluding', 'never', 'avoid'],
+  breaks: ['but', 'however', 'instead', 'then', 'only'],
+  scope: 4
+};
+
+export class KeywordMatcher {
+  constructor(options = {}) {
+    this.synonyms = options.synonyms || {};
+    this.negation = { ...DEFAULT_NEGATION, ...options.negation };
+    this.compiled = new Map();
+
+    // locales: { code: { common, markers, letters, suffixes, compounds, negation } }
+    this.defaultLocale = options.defaultLocale || 'en';
+    this.detect = options.detect ?? true;
+    this.locales = new Map(Object.entries(options.locales || {}).map(([code, locale]) => [code, {
+      common: new Set(locale.common || []),
+      markers: new Set(locale.markers || []),
+      letters: [...(locale.letters || '')],
+      suffixes: locale.suffixes || [],
+      compounds: locale.compounds || false,
+      negation: { ...DEFAULT_NEGATION, ...locale.negation }
+    }]));
+  }
+
+  /**
+   * Split text into tokens, marking the ones that sit inside a negation
+   *
+   * The locale is detected from the text unless one is given; tokens that are
+   * common words of that locale are marked "common".
+   */
+  analyze(text, { locale } = {}) {
+    const normalized = text
+      .toLowerCase()
+      .replace(/n['’]t\b/g, ' not')
+      .replace(/\bw\/o\b/g, 'without');
+
+    const words = [...normalized.matchAll(WORD)];
+    const code = locale || (this.detect ? this.detectLocale(words.map(match => match[0])) : this.defaultLocale);
+    const { negation, suffixes, common, compounds } = this.locales.get(code) ||
+      { negation: this.negation, suffixes: [], common: new Set(), compounds: false };
+
+    const tokens = [];
+    let negatedUntil = -1;
+    let lastEnd = 0;
+
+    for (const match of words) {
+      const word = match[0];
+      const gap = normalized.slice(lastEnd, match.index);
+      lastEnd = match.index + word.length;
+
+      if (CLAUSE_BREAK.test(gap) || negation.breaks.includes(word)) {
+        negatedUntil = -1;
+      }
+
+      const index = tokens.length;
+      const forms = wordForms(word, suffixes);
+      if (negation.cues.includes(word)) {
+        tokens.push({ word, forms, negated: false, cue: true });
+        negatedUntil = index + negation.scope;
+        continue;
+      }
+
+      const token = { word, forms, negated: index <= negatedUntil };
+      if (common.has(word)) token.common = true;
+      tokens.push(token);
+    }
+
+    return { text, tokens, locale: code, compounds };
+  }
+
+  /**
+   * The locale whose common words, marker words (its own keywords) and
+   * letters occur most in the words; the default locale wins ties and texts
+   * with no evidence
+   */
+  detectLocale(words) {
+    let best = this.defaultLocale;
+    let bestScore = 0;
+
+    for (const [code, { common, markers, letters, suffixes }] of this.locales) {
+      const score = words.filter(word =>
+        common.has(word) ||
+        [...wordForms(word, suffixes)].some(form => markers.has(form)) ||
+        letters.some(letter => word.includes(letter))
+      ).length;
+      if (score > bestScore || (score === bestScore && score > 0 && code === this.defaultLocale)) {
+        best = code;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Compile a "a|b|multi word" rule into alternatives, expanding synonyms
+   */
+  compile(rule) {
+    if (this.compiled.has(rule)) return this.compiled.get(rule);
+
+    const phrases = new Set();
+    for (const alternative of rule.split('|')) {
+      const phrase = alternative.trim().toLowerCase();
+      if (!phrase) continue;
+      phrases.add(phrase);
+      (this.synonyms[phrase] || []).forEach(synonym => phrases.add(synonym.toLowerCase()));
+    }
+
+    const alternatives = [...phrases]
+      .map(phrase => ({ phrase, terms: phrase.match(WORD) || [] }))
+      .filter(alt => alt.terms.length > 0)
+      // Prefer the longest phrase when several start at the same token
+      .sort((a, b) => b.terms.length - a.terms.length);
+
+    this.compiled.set(rule, alternatives);
+    return alternatives;
+  }
+
+  /**
+   * Match a rule against analyzed text (or a raw string)
+   * Returns the matched phrases and the ones skipped because they were negated
+   *
+   * With `compounds`, words of a compounding language also match the terms
+   * they start or end with; only rules written in that language should ask for it.
+   */
+  match(doc, rule, { compounds = false } = {}) {
+    const analyzed = typeof doc === 'string' ? this.analyze(doc) : doc;
+    const { tokens } = analyzed;
+    const splitCompounds = compounds && analyzed.compounds;
+    const alternatives = this.compile(rule);
+    const matched = [];
+    const negated = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      for (const { phrase, terms } of alternatives) {
+        if (i + terms.length > tokens.length) continue;
+        if (!terms.every((term, j) => matchesTerm(tokens[i + j], term, splitCompounds))) continue;
+
+        const span = tokens.slice(i, i + terms.length);
+        (span.some(t => t.negated) ? negated : matched).push(phrase);
+        i += terms.length - 1;
+        break;
+      }
+    }
+
+    return { hits: matched.length, matched, negated };
+  }
+}
+
+// Shorter keywords are too likely to occur inside unrelated compound words
+const MIN_COMPOUND_PART = 5;
+
+/**
+ * A token matches a term through one of its forms or, when splitting
+ * compounds, a form that starts or ends with the term
+ * ("betalingsside" → betaling, "databasemigrering" → migrering)
+ */
+function matchesTerm(token, term, compounds) {
+  if (token.forms.has(term)) return true;
+  if (!compounds || term.length < MIN_COMPOUND_PART) return false;
+  return [...token.forms].some(form => form !== term && (form.startsWith(term) || form.endsWith(term)));
+}
+
+/**
+ * The base forms a word may stand for: "caches" → cache, "queries" → query,
+ * "deployed" → deploy, "migrating" → migrate. A locale's suffixes add more
+ * ("betalingene" → betaling with "ene").
+ */
+export function wordForms(word, suffixes = []) {
+  const forms = new Set([word]);
+  const add = (stem, suffix = '') => {
+    if (stem.length >= 3) forms.add(stem + suffix);
+  };
+
+  if (word.endsWith('ies')) add(word.slice(0, -3), 'y');
+  if (word.endsWith('es')) add(word.slice(0, -2));
+  if (word.endsWith('s') && !word.endsWith('ss')) add(word.slice(0, -1));
+  if (word.endsWith('ing')) {
+    add(word.slice(0, -3));
+    add(word.slice(0, -3), 'e');
+  }
+  if (word.endsWith('ed')) {
+    add(word.slice(0, -2));
+    add(word.slice(0, -1));
+  }
+  for (const suffix of suffixes) {
+    if (word.endsWith(suffix)) add(word.slice(0, -suffix.length));
+  }
+
+  return forms;
+}
+
+export default KeywordMatcher;
@@ -0,0 +1,147 @@
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { wordForms } from './keyword-matcher.js';
+import { hashTask } from './decision-log.js';
+
+/**
+ * Learning from routing corrections
+ * Stores corrections in .vibecode/learning.json and derives keyword associations
+ * and per-rule weight factors from them
+ */
+
+export const LEARNING_PATH = join('.vibecode', 'learning.json');
+
+// Words too generic to associate with an agent
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'onto', 'that', 'this', 'these', 'those', 'our', 'your',
+  'add', 'adds', 'adding', 'added', 'make', 'create', 'build', 'implement', 'update', 'change', 'fix',
+  'new', 'use', 'using', 'all', 'some', 'when', 'then', 'also', 'should', 'can', 'need', 'needs', 'want',
+  'please', 'page', 'feature', 'support', 'work', 'code', 'file', 'files', 'app', 'able', 'via', 'per',
+  // Generic words of software tasks, which would tie an agent to almost any task
+  'remove', 'delete', 'move', 'rename', 'refactor', 'improve', 'clean', 'cleanup', 'handle', 'allow', 'show',
+  'get', 'set', 'run', 'check', 'now', 'again', 'just', 'more', 'better', 'after', 'before', 'about', 'only',
+  'not', 'but', 'are', 'was', 'will', 'has', 'have', 'its', 'user', 'users', 'item', 'items', 'list', 'data',
+  'issue', 'problem', 'bug', 'error', 'errors', 'function', 'method', 'class', 'module', 'component', 'service',
+  'logic', 'flow', 'value', 'values', 'option', 'options', 'thing', 'stuff', 'part', 'way', 'small', 'minor'
+]);
+
+export class LearningError extends Error {
+  constructor(message, file = null) {
+    super(file ? `Invalid learning store ${file}: ${message}` : message);
+    this.name = 'LearningError';
+    this.file = file;
+  }
+}
+
+/**
+ * Read the store, or an empty one when the project has none yet
+ */
+export function loadLearning(path) {
+  if (!existsSync(path)) return { version: 1, corrections: [] };
+
+  let store;
+  try {
+    store = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new LearningError(`malformed JSON (${error.message})`, path);
+  }
+  if (!store || store.version !== 1 || !Array.isArray(store.corrections)) {
+    throw new LearningError('expected { "version": 1, "corrections": [...] }', path);
+  }
+  return store;
+}
+
+export function saveLearning(path, store) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(store, null, 2) + '\n');
+}
+
+/**
+ * Distinctive words of an analyzed task: not negated, not a stop word or a
+ * common word of the task's language, at least three letters
+ */
+export function taskTerms(taskDoc) {
+  const terms = taskDoc.tokens
+    .filter(token => !token.cue && !token.negated && !token.common && token.word.length >= 3 && !/^\d+$/.test(token.word))
+    .map(token => token.word)
+    .filter(word => !STOP_WORDS.has(word));
+  return [...new Set(terms)];
+}
+
+/**
+ * Build the stored record of one correction
+ *
+ * `rules` are the rules that fired for the task, with the corrected agents each one credited.
+ */
+export function createCorrection(taskDescription, { terms, added = [], removed = [], rules = [] }) {
+  return {
+    time: new Date().toISOString(),
+    task: hashTask(taskDescription),
+    terms,
+    added,
+    removed,
+    rules
+  };
+}
+
+/**
+ * Derive learned rules from the corrections, oldest first
+ *
+ * - associations: task words credited to each agent that was added by hand in
+ *   at least minSupport corrections, so one edit does not tie every word of
+ *   its task to the agent; removing the agent again for a task with the same
+ *   word cancels one of them out
+ * - ruleFactors: each removal multiplies the rules that credited the agent by
+ *   (1 - penalty); adding the agent back restores the factor to 1
+ */
+export function deriveLearnedRules(corrections, { penalty = 0.5, minSupport = 2 } = {}) {
+  const support = new Map();
+  const ruleFactors = {};
+
+  for (const correction of corrections) {
+    for (const agent of correction.added) {
+      for (const term of correction.terms) {
+        const key = `${agent}\0${term}`;
+        support.set(key, (support.get(key) || 0) + 1);
+      }
+    }
+    for (const agent of correction.removed) {
+      for (const term of correction.terms) {
+        const key = `${agent}\0${term}`;
+        if (support.has(key)) support.set(key, support.get(key) - 1);
+      }
+    }
+
+    for (const { source, rule, agents } of correction.rules) {
+      const key = `${source}: ${rule}`;
+      for (const agent of agents) {
+        if (correction.removed.includes(agent)) {
+          ruleFactors[key] ||= {};
+          ruleFactors[key][agent] = (ruleFactors[key][agent] ?? 1) * (1 - penalty);
+        } else if (correction.added.includes(agent) && ruleFactors[key]) {
+          delete ruleFactors[key][agent];
+          if (Object.keys(ruleFactors[key]).length === 0) delete ruleFactors[key];
+        }
+      }
+    }
+  }
+
+  const associations = {};
+  for (const [key, count] of support) {
+    if (count < minSupport) continue;
+    const [agent, term] = key.split('\0');
+    (associations[agent] ||= []).push({ term, support: count });
+  }
+  for (const terms of Object.values(associations)) {
+    terms.sort((a, b) => b.support - a.support || a.term.localeCompare(b.term));
+  }
+
+  return { associations, ruleFactors };
+}
+
+/**
+ * Keyword rule matching any form of an agent's learned words
+ */
+export function associationRule(terms) {
+  return [...new Set(terms.flatMap(({ term }) => [...wordForms(term)]))].join('|');
+}
@@ -0,0 +1,139 @@
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { RoutingConfigError, validateLocale } from './routing-config.js';
+
+/**
+ * Locale keyword tables
+ * Loads the bundled locales/<code>.yml tables and the project's own, which
+ * add new languages or extend the bundled ones
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const BUNDLED_LOCALES_DIR = join(__dirname, 'locales');
+export const PROJECT_LOCALES_DIR = join('.vibecode', 'locales');
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const emptyLocale = code => ({
+  code,
+  name: code,
+  common: [],
+  letters: '',
+  suffixes: [],
+  compounds: false,
+  negation: {},
+  keywords: {},
+  chainTriggers: {}
+});
+
+const union = (a = [], b = []) => [...new Set([...a, ...b])];
+
+/**
+ * Extend a locale with another table for the same language: word lists and
+ * keyword agents are merged, chain triggers joined, names and scope replaced
+ */
+export function mergeLocale(base, extension) {
+  const keywords = { ...base.keywords };
+  for (const [rule, agents] of Object.entries(extension.keywords || {})) {
+    keywords[rule] = union(keywords[rule], agents);
+  }
+
+  const chainTriggers = { ...base.chainTriggers };
+  for (const [chain, rule] of Object.entries(extension.chainTriggers || {})) {
+    chainTriggers[chain] = chainTriggers[chain] ? `${chainTriggers[chain]}|${rule}` : rule;
+  }
+
+  const negation = { ...base.negation, ...extension.negation };
+  for (const list of ['cues', 'breaks']) {
+    if (base.negation[list] || extension.negation?.[list]) {
+      negation[list] = union(base.negation[list], extension.negation?.[list]);
+    }
+  }
+
+  return {
+    ...base,
+    name: extension.name ?? base.name,
+    common: union(base.common, extension.common),
+    letters: union([...base.letters], [...(extension.letters || '')]).join(''),
+    suffixes: union(base.suffixes, extension.suffixes),
+    compounds: extension.compounds ?? base.compounds,
+    negation,
+    keywords,
+    chainTriggers
+  };
+}
+
+/**
+ * Read and validate every <code>.yml table in a directory
+ */
+function readLocaleDir(dir, { label, agents, chains }) {
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir)
+    .filter(file => file.endsWith('.yml') || file.endsWith('.yaml'))
+    .sort()
+    .map(file => {
+      const display = join(label, file);
+      const source = readFileSync(join(dir, file), 'utf8');
+      let data;
+      try {
+        data = yaml.load(source);
+      } catch (error) {
+        throw new RoutingConfigError(display, [{
+          line: error.mark ? error.mark.line + 1 : null,
+          message: `malformed YAML: ${error.reason || error.message}`
+        }]);
+      }
+
+      const issues = validateLocale(data ?? {}, { source, agents, chains });
+      if (issues.length > 0) {
+        throw new RoutingConfigError(display, issues);
+      }
+      return { code: basename(basename(file, '.yml'), '.yaml').toLowerCase(), table: data ?? {} };
+    });
+}
+
+/**
+ * Load the bundled locales, then the project's (when projectDir is given)
+ * Returns { code: locale }
+ */
+export function loadLocales({ bundledDir = BUNDLED_LOCALES_DIR, projectDir = null, projectLabel = PROJECT_LOCALES_DIR, agents = [], chains = [] } = {}) {
+  const tables = [
+    ...readLocaleDir(bundledDir, { label: 'locales', agents, chains }),
+    ...(projectDir ? readLocaleDir(projectDir, { label: projectLabel, agents, chains }) : [])
+  ];
+
+  const locales = {};
+  for (const { code, table } of tables) {
+    locales[code] = mergeLocale(locales[code] || emptyLocale(code), table);
+  }
+  return locales;
+}
+
+/**
+ * KeywordMatcher options for the locales: keyword words that no other
+ * table uses become markers for detecting the language
+ */
+export function matcherLocales(locales, baseKeywords = {}) {
+  const wordsOf = rules => rules.flatMap(rule => rule.toLowerCase().match(WORD) || []);
+  const shared = new Set(wordsOf(Object.keys(baseKeywords)));
+
+  return Object.fromEntries(Object.values(locales).map(locale => {
+    const own = wordsOf([...Object.keys(locale.keywords), ...Object.values(locale.chainTriggers)]);
+    const others = new Set(Object.values(locales)
+      .filter(other => other !== locale)
+      .flatMap(other => wordsOf(Object.keys(other.keywords))));
+
+    return [locale.code, {
+      common: locale.common,
+      markers: own.filter(word => word.length >= 3 && !shared.has(word) && !others.has(word)),
+      letters: locale.letters,
+      suffixes: locale.suffixes,
+      compounds: locale.compounds,
+      negation: locale.negation
+    }];
+  }));
+}
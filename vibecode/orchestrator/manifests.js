@@ -0,0 +1,283 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Dependency manifests beyond package.json
+ * Reads the declared dependencies of Python, Go, Rust, Ruby, PHP and JVM
+ * projects and maps known frameworks to projectInfo values
+ */
+
+/**
+ * Frameworks by ecosystem: [dependency, field, value, type]
+ * A JVM dependency also matches every artifact of its group. The first
+ * entry with a type decides the project type, so entries are in priority order.
+ */
+export const FRAMEWORKS = {
+  python: [
+    ['fastapi', 'backend', 'fastapi', 'python-backend'],
+    ['django', 'backend', 'django', 'python-backend'],
+    ['flask', 'backend', 'flask', 'python-backend'],
+    ['celery', 'backend', 'celery'],
+    ['sqlalchemy', 'database', 'sqlalchemy'],
+    ['psycopg', 'database', 'postgresql'],
+    ['psycopg2', 'database', 'postgresql'],
+    ['psycopg2-binary', 'database', 'postgresql'],
+    ['asyncpg', 'database', 'postgresql'],
+    ['pymongo', 'database', 'mongodb'],
+    ['pytest', 'testing', 'pytest'],
+    ['click', null, null, 'cli-tool'],
+    ['typer', null, null, 'cli-tool']
+  ],
+  go: [
+    ['github.com/gin-gonic/gin', 'backend', 'gin', 'go-backend'],
+    ['github.com/labstack/echo', 'backend', 'echo', 'go-backend'],
+    ['github.com/gofiber/fiber', 'backend', 'fiber', 'go-backend'],
+    ['gorm.io/gorm', 'database', 'gorm'],
+    ['github.com/jackc/pgx', 'database', 'postgresql'],
+    ['github.com/lib/pq', 'database', 'postgresql'],
+    ['go.mongodb.org/mongo-driver', 'database', 'mongodb'],
+    ['github.com/stretchr/testify', 'testing', 'testify'],
+    ['github.com/spf13/cobra', null, null, 'cli-tool'],
+    ['github.com/urfave/cli', null, null, 'cli-tool']
+  ],
+  rust: [
+    ['tauri', 'frontend', 'tauri', 'desktop-app'],
+    ['axum', 'backend', 'axum', 'rust-backend'],
+    ['actix-web', 'backend', 'actix', 'rust-backend'],
+    ['diesel', 'database', 'diesel'],
+    ['sqlx', 'database', 'sqlx'],
+    ['clap', null, null, 'cli-tool']
+  ],
+  ruby: [
+    ['rails', 'backend', 'rails', 'ruby-backend'],
+    ['pg', 'database', 'postgresql'],
+    ['mysql2', 'database', 'mysql'],
+    ['mongoid', 'database', 'mongodb'],
+    ['rspec', 'testing', 'rspec'],
+    ['rspec-rails', 'testing', 'rspec']
+  ],
+  php: [
+    ['laravel/framework', 'backend', 'laravel', 'php-backend'],
+    ['symfony/framework-bundle', 'backend', 'symfony', 'php-backend'],
+    ['phpunit/phpunit', 'testing', 'phpunit'],
+    ['pestphp/pest', 'testing', 'pest']
+  ],
+  jvm: [
+    ['com.android.application', 'mobile', 'android-native', 'mobile-app'],
+    ['org.springframework.boot:spring-boot-starter-data-jpa', 'database', 'jpa'],
+    ['org.springframework.boot', 'backend', 'spring', 'jvm-backend'],
+    ['org.postgresql', 'database', 'postgresql'],
+    ['org.junit.jupiter', 'testing', 'junit'],
+    ['junit', 'testing', 'junit']
+  ]
+};
+
+// Project type of an ecosystem whose manifest names no known framework
+export const FALLBACK_TYPES = {
+  python: 'python-project',
+  go: 'go-project',
+  rust: 'rust-project',
+  ruby: 'ruby-project',
+  php: 'php-project',
+  jvm: 'jvm-project'
+};
+
+// A requirement's distribution name, normalized: "Flask_Login[extra]>=1" → "flask-login"
+const requirementName = spec => spec.trim().match(/^[A-Za-z0-9][A-Za-z0-9._-]*/)?.[0].toLowerCase().replace(/[._]+/g, '-') ?? null;
+const quoted = value => [...value.matchAll(/"([^"]*)"|'([^']*)'/g)].map(match => match[1] ?? match[2]);
+const bracketsBalanced = value => (value.match(/\[/g) || []).length <= (value.match(/\]/g) || []).length;
+
+/**
+ * The key/value pairs of each table in a TOML file, enough to read
+ * dependency tables: { 'table.name': { key: rawValue } }, multi-line arrays joined
+ */
+export function readTomlTables(source) {
+  const tables = { '': {} };
+  let current = tables[''];
+  let pending = null;
+
+  for (const raw of source.split('\n')) {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (pending) {
+      pending.value += ` ${line}`;
+      if (bracketsBalanced(pending.value)) {
+        current[pending.key] = pending.value;
+        pending = null;
+      }
+      continue;
+    }
+    if (!line) continue;
+
+    const header = line.match(/^\[\[?\s*([^\]]+?)\s*\]\]?$/);
+    if (header) {
+      const name = header[1].replace(/"/g, '');
+      current = tables[name] = tables[name] || {};
+      continue;
+    }
+
+    const pair = line.match(/^("[^"]+"|[\w.-]+)\s*=\s*(.*)$/);
+    if (!pair) continue;
+    const key = pair[1].replace(/"/g, '');
+    if (pair[2].startsWith('[') && !bracketsBalanced(pair[2])) {
+      pending = { key, value: pair[2] };
+    } else {
+      current[key] = pair[2];
+    }
+  }
+  return tables;
+}
+
+/**
+ * Table names matching a pattern, with "*" for one dotted segment
+ */
+function tablesMatching(tables, pattern) {
+  const regex = new RegExp(`^${pattern.replace(/\./g, '\\.').replace(/\*/g, '[^.]+')}$`);
+  return Object.keys(tables).filter(name => regex.test(name)).map(name => tables[name]);
+}
+
+function parsePyproject(source) {
+  const tables = readTomlTables(source);
+  const specs = [
+    ...quoted(tables.project?.dependencies || ''),
+    ...Object.values(tables['project.optional-dependencies'] || {}).flatMap(quoted),
+    ...Object.values(tables['dependency-groups'] || {}).flatMap(quoted)
+  ];
+  const poetry = [
+    ...tablesMatching(tables, 'tool.poetry.dependencies'),
+    ...tablesMatching(tables, 'tool.poetry.dev-dependencies'),
+    ...tablesMatching(tables, 'tool.poetry.group.*.dependencies')
+  ].flatMap(Object.keys).filter(name => name !== 'python');
+
+  return [...specs, ...poetry].map(requirementName);
+}
+
+function parsePipfile(source) {
+  const tables = readTomlTables(source);
+  return [...Object.keys(tables.packages || {}), ...Object.keys(tables['dev-packages'] || {})].map(requirementName);
+}
+
+function parseRequirements(source) {
+  return source.split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('-'))
+    .map(requirementName);
+}
+
+function parseGoMod(source) {
+  const modules = [];
+  let inRequire = false;
+  for (const raw of source.split('\n')) {
+    const line = raw.replace(/\/\/.*$/, '').trim();
+    if (/^require\s*\($/.test(line)) {
+      inRequire = true;
+    } else if (inRequire && line === ')') {
+      inRequire = false;
+    } else if (inRequire && line) {
+      modules.push(line.split(/\s+/)[0]);
+    } else if (line.startsWith('require ')) {
+      modules.push(line.split(/\s+/)[1]);
+    }
+  }
+  // Major version suffixes are part of the path: github.com/labstack/echo/v4
+  return modules.map(path => path.replace(/\/v\d+$/, ''));
+}
+
+function parseCargo(source) {
+  const tables = readTomlTables(source);
+  const sections = ['dependencies', 'dev-dependencies', 'build-dependencies', 'workspace.dependencies'];
+  const names = [
+    ...sections.flatMap(section => Object.keys(tables[section] || {})),
+    ...tablesMatching(tables, 'target.*.dependencies').flatMap(Object.keys)
+  ];
+  // Dependencies written as their own tables: [dependencies.axum]
+  for (const name of Object.keys(tables)) {
+    const match = name.match(/^(?:dev-|build-)?dependencies\.(.+)$/);
+    if (match) names.push(match[1]);
+  }
+  return names;
+}
+
+function parseGemfile(source) {
+  return [...source.matchAll(/^\s*gem\s+['"]([^'"]+)['"]/gm)].map(match => match[1]);
+}
+
+function parseComposer(source) {
+  const composer = JSON.parse(source);
+  return [...Object.keys(composer.require || {}), ...Object.keys(composer['require-dev'] || {})];
+}
+
+function parseGradle(source) {
+  const coordinates = [...source.matchAll(/['"]([\w.-]+):([\w.-]+)(?::[^'"]*)?['"]/g)].map(match => `${match[1]}:${match[2]}`);
+  const plugins = [
+    ...source.matchAll(/\bid\s*\(?\s*['"]([\w.-]+)['"]/g),
+    ...source.matchAll(/apply\s+plugin:\s*['"]([\w.-]+)['"]/g)
+  ].map(match => match[1]);
+  return [...coordinates, ...plugins];
+}
+
+function parsePom(source) {
+  return [...source.matchAll(/<(dependency|parent|plugin)>([\s\S]*?)<\/\1>/g)]
+    .map(([, , body]) => {
+      const groupId = body.match(/<groupId>\s*([^<\s]+)\s*<\/groupId>/)?.[1];
+      const artifactId = body.match(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/)?.[1];
+      return groupId && artifactId ? `${groupId}:${artifactId}` : artifactId;
+    });
+}
+
+// Manifest files per ecosystem, with their parser
+const MANIFESTS = [
+  { ecosystem: 'python', patterns: ['pyproject.toml'], parse: parsePyproject },
+  { ecosystem: 'python', patterns: ['Pipfile'], parse: parsePipfile },
+  { ecosystem: 'python', patterns: ['requirements.txt', 'requirements/*.txt', 'requirements-*.txt'], parse: parseRequirements },
+  { ecosystem: 'go', patterns: ['go.mod'], parse: parseGoMod },
+  { ecosystem: 'rust', patterns: ['Cargo.toml'], parse: parseCargo },
+  { ecosystem: 'ruby', patterns: ['Gemfile'], parse: parseGemfile },
+  { ecosystem: 'php', patterns: ['composer.json'], parse: parseComposer },
+  // Android and multi-module builds declare their plugins in a module's build file
+  { ecosystem: 'jvm', patterns: ['build.gradle', 'build.gradle.kts', '*/build.gradle', '*/build.gradle.kts'], parse: parseGradle },
+  { ecosystem: 'jvm', patterns: ['pom.xml', '*/pom.xml'], parse: parsePom }
+];
+
+/**
+ * Read every dependency manifest in a project's FileIndex
+ * Returns [{ file, ecosystem, dependencies }]; manifests that do not parse
+ * are skipped and reported to problems as { file, message }
+ */
+export async function readManifests(projectRoot, index, problems = []) {
+  const manifests = [];
+  for (const { ecosystem, patterns, parse } of MANIFESTS) {
+    for (const file of index.findAll(patterns)) {
+      let dependencies;
+      try {
+        dependencies = parse(readFileSync(join(projectRoot, file), 'utf8'));
+      } catch (error) {
+        problems.push({ file, message: `unparsable manifest (${error.message})` });
+        continue;
+      }
+      manifests.push({ file, ecosystem, dependencies: [...new Set(dependencies.filter(Boolean))] });
+    }
+  }
+  return manifests;
+}
+
+/**
+ * The declared dependency that is the wanted one; a JVM group also matches its artifacts
+ */
+function findDependency(dependencies, wanted) {
+  return dependencies.find(name => name === wanted) ?? dependencies.find(name => name.startsWith(`${wanted}:`));
+}
+
+/**
+ * The known frameworks a set of manifests declares:
+ * [{ ecosystem, file, dependency, field, value, type }] in FRAMEWORKS order
+ */
+export function matchFrameworks(manifests) {
+  const matches = [];
+  for (const { file, ecosystem, dependencies } of manifests) {
+    for (const [wanted, field, value, type] of FRAMEWORKS[ecosystem]) {
+      const dependency = findDependency(dependencies, wanted);
+      if (dependency) matches.push({ ecosystem, file, dependency, field, value, type: type ?? null });
+    }
+  }
+  return matches;
+}
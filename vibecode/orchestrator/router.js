@@ -1,18 +1,75 @@
-import { readFileSync } from 'fs';
+import { readFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { loadAgentMetadata, parseFrontmatter, extractSpecExcerpt, splitSpecUnits } from './agent-metadata.js';
+import {
+  ROUTING_CONFIG_PATH, RoutingConfigError, loadRoutingConfig, applyRoutingConfig, mergeSettings
+} from './routing-config.js';
+import { scheduleAgents, transitiveDependencies } from './scheduler.js';
+import { KeywordMatcher } from './keyword-matcher.js';
+import { matchGlob } from './glob-matcher.js';
+import { ContentScanner } from './content-scanner.js';
+import { listChangedFiles } from './git-source.js';
+import { resolveChain, inferChain, mergeIntoChain, evaluateCondition } from './chains.js';
+import { DECISION_LOG_PATH, createDecisionEntry, appendDecision } from './decision-log.js';
+import {
+  LEARNING_PATH, LearningError, loadLearning, saveLearning, taskTerms, createCorrection, deriveLearnedRules, associationRule
+} from './learning.js';
+import { AgentRegistry, agentSourceDirs } from './agent-registry.js';
+import { estimateTokens, selectRelevantUnits, fitPlanToBudget } from './context-budget.js';
+import { PROJECT_LOCALES_DIR, loadLocales, matcherLocales } from './locales.js';
+import {
+  SESSION_PATH, loadSession, saveSession, resetSession, recentTurns, sessionContext, recordTurn
+} from './session.js';
+import { ProjectAnalyzer } from './analyzer.js';
+import { ANALYSIS_CACHE_PATH } from './analysis-cache.js';
+import { findPackage } from './workspaces.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// Repeating a keyword or touching many matching files stops adding weight after this
+const MAX_HITS_PER_RULE = 3;
+
+const round = value => Math.round(value * 100) / 100;
+
 /**
  * Intelligent agent routing system for Claude Code
  * Automatically selects and chains agents based on task analysis
  */
 
 export class AgentRouter {
-  constructor() {
-    this.routingRules = this.loadRoutingRules();
+  constructor(options = {}) {
+    this.agentsDir = options.agentsDir || join(__dirname, '..', 'agents');
+    this.projectRoot = options.projectRoot || process.cwd();
     this.agentCapabilities = this.loadAgentCapabilities();
+
+    const baseRules = this.applyAgentTriggers(this.loadRoutingRules(), this.agentCapabilities);
+    // projectConfig: false routes with the built-in rules only (no routing.yml, no learned rules)
+    this.useProjectConfig = options.projectConfig !== false;
+    this.routingConfig = this.useProjectConfig
+      ? loadRoutingConfig(this.projectRoot, { agents: Object.keys(this.agentCapabilities), baseRules })
+      : null;
+    this.routingRules = applyRoutingConfig(baseRules, this.routingConfig);
+    this.locales = this.loadLocaleTables();
+    this.keywordMatcher = new KeywordMatcher({
+      synonyms: this.routingRules.synonyms,
+      locales: matcherLocales(this.locales, this.routingRules.taskKeywords),
+      defaultLocale: this.routingRules.locales.default,
+      detect: this.routingRules.locales.detect
+    });
+    this.contentScanner = new ContentScanner({
+      root: this.projectRoot,
+      maxBytes: this.routingRules.content.maxBytes,
+      maxFiles: this.routingRules.content.maxFiles,
+      importRules: this.routingRules.content.imports
+    });
+    this.learned = this.loadLearnedRules();
+    this.projectInfo = options.projectInfo || null;
+    this.registry = new AgentRegistry({
+      dirs: agentSourceDirs({ agentsDir: this.agentsDir, projectRoot: this.projectRoot, home: options.home }),
+      sources: this.routingRules.registry.sources,
+      fallbacks: this.routingRules.registry.fallbacks
+    });
     this.activeAgents = new Set();
   }
 
@@ -37,7 +94,7 @@ export class AgentRouter {
         '**/ios/**': ['mobile-agent', 'ios-swift-agent']
       },
 
-      // Task keyword to agent mapping
+      // Task keyword to agent mapping ('|'-separated words or phrases)
       taskKeywords: {
         'authentication|login|signup|auth': ['security-agent', 'backend-agent', 'frontend-agent'],
         'database|query|migration|schema': ['data-agent', 'database-migration-agent', 'backend-agent'],
@@ -79,230 +136,995 @@ export class AgentRouter {
           { agents: ['data-agent', 'backend-agent', 'frontend-agent'], parallel: true },
           { agents: ['testing-agent'], parallel: false }
         ]
-      }
-    };
-  }
+      },
 
-  loadAgentCapabilities() {
-    return {
-      'frontend-agent': {
-        capabilities: ['ui', 'react', 'typescript', 'css', 'components'],
-        priority: 2,
-        dependencies: []
+      // Keywords that select a chain when no chainType is given
+      chainTriggers: {
+        'bug-fix': 'fix|bug|crash|broken|regression|hotfix|failing',
+        'security-audit': 'audit|pentest|penetration test|security review|threat model',
+        'performance-optimization': 'slow|performance|latency|speed up|bottleneck'
       },
-      'backend-agent': {
-        capabilities: ['api', 'database', 'authentication', 'server'],
-        priority: 1,
-        dependencies: []
+
+      // Inferred chains run the specialists the task matched in place of the
+      // chain's fixed list. minCues is the number of different trigger keywords
+      // a chain needs (1 when not listed): a bare "fix" is as likely a typo fix
+      // as a bug report, so bug-fix needs a second cue
+      chainInference: {
+        enabled: true,
+        mergeMatched: true,
+        minCues: { 'bug-fix': 2 }
       },
-      'mobile-agent': {
-        capabilities: ['react-native', 'ios', 'android', 'mobile-ui'],
-        priority: 2,
-        dependencies: ['backend-agent']
+
+      // Alternative spellings matched wherever the key appears in a keyword rule
+      synonyms: {
+        login: ['log in', 'sign in', 'signin'],
+        signup: ['sign up', 'registration'],
+        database: ['db', 'postgres', 'postgresql', 'mysql', 'mongodb'],
+        kubernetes: ['k8s'],
+        graphql: ['gql'],
+        email: ['e-mail'],
+        deployment: ['rollout'],
+        ci: ['continuous integration'],
+        e2e: ['end-to-end', 'end to end'],
+        i18n: ['internationalisation', 'localisation'],
+        performance: ['perf']
       },
-      'testing-agent': {
-        capabilities: ['jest', 'playwright', 'testing', 'coverage'],
-        priority: 3,
-        dependencies: ['frontend-agent', 'backend-agent']
+
+      // Agent scoring: weight per rule source, decay for supporting agents in a rule;
+      // at 0.7 a lone keyword hit selects the first two agents of its rule, not the third
+      scoring: {
+        weights: { keyword: 1, file: 1.5, content: 1.25, context: 0.5, learned: 1, session: 1 },
+        rankDecay: 0.8,
+        threshold: 0.7,
+        maxAgents: null
       },
-      'security-agent': {
-        capabilities: ['authentication', 'encryption', 'vulnerability', 'gdpr'],
-        priority: 1,
-        dependencies: []
+
+      // Content scan of touched files (imports, SQL, GraphQL SDL, decorators)
+      content: {
+        enabled: false,
+        maxBytes: 256 * 1024,
+        maxFiles: 200,
+        imports: {}
       },
-      'devops-agent': {
-        capabilities: ['ci-cd', 'deployment', 'docker', 'monitoring'],
-        priority: 3,
-        dependencies: ['backend-agent']
+
+      // Opt-in local log of routing decisions (see scripts/stats.js)
+      log: {
+        enabled: false,
+        path: DECISION_LOG_PATH
       },
-      'data-agent': {
-        capabilities: ['database', 'optimization', 'migration', 'analytics'],
-        priority: 1,
-        dependencies: []
+
+      // Stack-specific agents: substitute them for generic ones when the
+      // project uses the stack, and drop them when it does not (unless the
+      // task names the stack or its files point at the agent)
+      stacks: {
+        enabled: true,
+        substitute: {
+          firebase: { when: { backend: 'firebase' }, agents: { 'backend-agent': 'firebase-backend-agent' } },
+          aws: { when: { backend: 'aws' }, agents: { 'backend-agent': 'aws-backend-agent' } },
+          flutter: { when: { mobile: 'flutter' }, agents: { 'mobile-agent': 'flutter-agent' } },
+          'ios-native': { when: { mobile: 'ios-native' }, agents: { 'mobile-agent': 'ios-swift-agent' } }
+        },
+        requires: {
+          'firebase-backend-agent': { backend: 'firebase' },
+          'aws-backend-agent': { backend: 'aws' },
+          'flutter-agent': { mobile: 'flutter' },
+          'ios-swift-agent': { mobile: ['ios-native', 'flutter', 'react-native', 'expo'] },
+          'mobile-agent': { mobile: true }
+        },
+        mentions: {
+          'firebase-backend-agent': 'firebase|firestore|cloud functions',
+          'aws-backend-agent': 'aws|lambda|dynamodb|s3|cloudformation|cdk',
+          'flutter-agent': 'flutter|dart',
+          'ios-swift-agent': 'swift|swiftui|xcode|ios',
+          'mobile-agent': 'react native|expo'
+        }
       },
-      'design-agent': {
-        capabilities: ['ui-ux', 'figma', 'design-system', 'accessibility'],
-        priority: 1,
-        dependencies: []
+
+      // Where Task calls look for installed agents ('bundled', 'user' = ~/.claude/agents,
+      // 'project' = .claude/agents, 'cursor' = .cursor/agents), and what to run
+      // instead when an agent is missing (general-purpose ends every chain).
+      // Bundled specs come last, so installed copies win
+      registry: {
+        sources: ['user', 'project', 'bundled'],
+        fallbacks: {
+          'aws-backend-agent': ['backend-agent'],
+          'firebase-backend-agent': ['backend-agent'],
+          'api-graphql-agent': ['backend-agent'],
+          'payment-agent': ['backend-agent'],
+          'websocket-realtime-agent': ['backend-agent'],
+          'background-jobs-agent': ['backend-agent'],
+          'email-communication-agent': ['backend-agent'],
+          'search-indexing-agent': ['backend-agent'],
+          'caching-performance-agent': ['backend-agent'],
+          'database-migration-agent': ['data-agent', 'backend-agent'],
+          'bankid-agent': ['security-agent'],
+          'flutter-agent': ['mobile-agent'],
+          'ios-swift-agent': ['mobile-agent'],
+          'docker-container-agent': ['devops-agent'],
+          'monitoring-observability-agent': ['devops-agent'],
+          'accessibility-agent': ['frontend-agent'],
+          'localization-agent': ['frontend-agent'],
+          'pwa-offline-agent': ['frontend-agent'],
+          'seo-marketing-agent': ['frontend-agent']
+        }
+      },
+
+      // Task languages: locales/<code>.yml tables plus the project's own in `path`
+      locales: {
+        default: 'en',
+        detect: true,
+        path: PROJECT_LOCALES_DIR
+      },
+
+      // Context budget for the specs a plan loads (off unless tokens or chars is set)
+      budget: {
+        tokens: null,
+        chars: null,
+        charsPerToken: 4,
+        handoffTokens: 400,
+        maxSections: 3,
+        strategies: ['sections', 'merge', 'drop']
+      },
+
+      // Corrections recorded with scripts/learn.js; a task word is learned for an
+      // added agent after minSupport corrections, each removal scales the rules
+      // that picked the agent by (1 - penalty)
+      learning: {
+        enabled: true,
+        path: LEARNING_PATH,
+        penalty: 0.5,
+        minSupport: 2
+      },
+
+      // Sticky sessions (opt-in): agents of the last maxTurns routes carry over
+      // to follow-up tasks, weighted decay ** turnsAgo, boosting the agents the
+      // task matched (or all of them when it matched none); turns expire after
+      // expireAfter minutes
+      session: {
+        enabled: false,
+        path: SESSION_PATH,
+        maxTurns: 3,
+        decay: 0.5,
+        expireAfter: 60
+      },
+
+      // Project analysis (routeWithProject): the file walk skips .gitignore,
+      // .vibecodeignore and these patterns, stops maxDepth levels down and
+      // after timeBudget milliseconds (null for no limit); the result is reused
+      // from the cache file until a manifest or config changes (null: no cache)
+      analysis: {
+        maxDepth: 8,
+        timeBudget: 2000,
+        ignore: [],
+        cache: ANALYSIS_CACHE_PATH
       }
     };
   }
 
+  /**
+   * Load capabilities, priority, dependencies and triggers from agent frontmatter
+   */
+  loadAgentCapabilities() {
+    return loadAgentMetadata(this.agentsDir);
+  }
+
+  /**
+   * Load the bundled locale tables and, with project config, the project's own
+   */
+  loadLocaleTables() {
+    const { default: defaultLocale, path } = this.routingRules.locales;
+    const locales = loadLocales({
+      projectDir: this.useProjectConfig ? join(this.projectRoot, path) : null,
+      projectLabel: path,
+      agents: Object.keys(this.agentCapabilities),
+      chains: Object.keys(this.routingRules.agentChains)
+    });
+
+    if (!locales[defaultLocale]) {
+      throw new RoutingConfigError(ROUTING_CONFIG_PATH, [{
+        line: null,
+        path: 'locales.default',
+        message: `unknown locale "${defaultLocale}" (available: ${Object.keys(locales).join(', ')})`
+      }]);
+    }
+    return locales;
+  }
+
+  /**
+   * Add the file and keyword triggers declared by each agent to the routing rules
+   */
+  applyAgentTriggers(rules, capabilities) {
+    const filePatterns = { ...rules.filePatterns };
+    const taskKeywords = { ...rules.taskKeywords };
+
+    for (const [agent, meta] of Object.entries(capabilities)) {
+      for (const pattern of meta.triggers.files) {
+        const existing = filePatterns[pattern] || [];
+        if (!existing.includes(agent)) {
+          filePatterns[pattern] = [...existing, agent];
+        }
+      }
+
+      if (meta.triggers.keywords.length > 0) {
+        const key = meta.triggers.keywords.join('|');
+        const existing = taskKeywords[key] || [];
+        if (!existing.includes(agent)) {
+          taskKeywords[key] = [...existing, agent];
+        }
+      }
+    }
+
+    return { ...rules, filePatterns, taskKeywords };
+  }
+
   /**
    * Analyze task and determine required agents
    */
-  analyzeTask(taskDescription, files = []) {
-    const agents = new Set();
-    const taskLower = taskDescription.toLowerCase();
+  analyzeTask(taskDescription, files = [], context = {}) {
+    return this.scoreAgents(taskDescription, files, context).agents;
+  }
+
+  /**
+   * Score candidate agents from keyword hits, file-pattern hits, file contents and project context
+   *
+   * Every agent in a matching rule is credited weight × hits, decayed by its
+   * position in the rule's agent list. Agents at or above the threshold are
+   * selected, capped at maxAgents by score.
+   */
+  scoreAgents(taskDescription, files = [], context = {}) {
+    const scoring = mergeSettings(this.routingRules.scoring, context.scoring);
+    const { weights, rankDecay, threshold, maxAgents } = scoring;
+    const taskDoc = this.keywordMatcher.analyze(taskDescription, { locale: context.locale });
+    const scope = this.resolveScope(files, context);
+    const { stack } = scope;
+    const scores = new Map();
+    const evidenced = new Set();
+    const rules = [];
+
+    const credit = (entry, agentList, weight, hitsFor = () => entry.hits, entryStack = stack) => {
+      const factors = this.learned.ruleFactors[`${entry.source}: ${entry.rule}`] || {};
+      entry.contributions = this.substituteAgents(agentList, entryStack)
+        .map((agent, index) => ({ agent, index, hits: hitsFor(agent) }))
+        .filter(({ hits }) => hits > 0)
+        .map(({ agent, index, hits }) => {
+          const factor = factors[agent] ?? 1;
+          const score = weight * Math.min(hits, MAX_HITS_PER_RULE) * rankDecay ** index * factor;
+          scores.set(agent, (scores.get(agent) || 0) + score);
+          if (entry.source === 'file' || entry.source === 'content') evidenced.add(agent);
+          return factor === 1 ? { agent, score: round(score) } : { agent, score: round(score), learnedFactor: round(factor) };
+        });
+      rules.push(entry);
+    };
+
+    // Check task keywords, then the keyword table of the task's language
+    const keywordRules = [
+      ...Object.entries(this.routingRules.taskKeywords).map(([rule, agents]) => ({ rule, agents })),
+      ...Object.entries(this.locales[taskDoc.locale]?.keywords || {})
+        .map(([rule, agents]) => ({ rule, agents, locale: taskDoc.locale }))
+    ];
+    for (const { rule: pattern, agents: agentList, locale } of keywordRules) {
+      const { hits, matched, negated } = this.keywordMatcher.match(taskDoc, pattern, { compounds: Boolean(locale) });
+      const entry = { source: 'keyword', rule: pattern, ...(locale && { locale }), matched, negated, hits };
+      if (hits > 0) {
+        credit(entry, agentList, weights.keyword);
+      } else if (negated.length > 0) {
+        rules.push({ ...entry, contributions: [] });
+      }
+    }
+
+    // Words learned from corrections that added an agent by hand
+    for (const [agent, terms] of Object.entries(this.learned.associations)) {
+      const { hits, matched } = this.keywordMatcher.match(taskDoc, associationRule(terms));
+      if (hits > 0) {
+        credit({ source: 'learned', rule: terms.map(t => t.term).join('|'), matched, hits }, [agent], weights.learned);
+      }
+    }
+
+    // "!pattern" rules exclude files from crediting their agents (all agents when the list is empty)
+    const filePatterns = Object.entries(this.routingRules.filePatterns);
+    const exclusions = [];
+    for (const [pattern, agentList] of filePatterns.filter(([p]) => p.startsWith('!'))) {
+      const matched = files.filter(file => this.matchPattern(file, pattern.slice(1)));
+      if (matched.length > 0) {
+        exclusions.push({ files: new Set(matched), agents: agentList });
+        rules.push({ source: 'file-exclusion', rule: pattern, matched, agents: agentList, hits: matched.length, contributions: [] });
+      }
+    }
+    const isExcluded = (file, agent) =>
+      exclusions.some(e => e.files.has(file) && (e.agents.length === 0 || e.agents.includes(agent)));
 
-    // Check task keywords
-    for (const [pattern, agentList] of Object.entries(this.routingRules.taskKeywords)) {
-      const regex = new RegExp(pattern, 'i');
-      if (regex.test(taskLower)) {
-        agentList.forEach(agent => agents.add(agent));
+    // Check file patterns, crediting files of each workspace package with that package's stack
+    for (const [pattern, agentList] of filePatterns.filter(([p]) => !p.startsWith('!'))) {
+      const matched = files.filter(file => this.matchPattern(file, pattern));
+      for (const group of scope.groupFiles(matched)) {
+        const hitsFor = agent => group.files.filter(file => !isExcluded(file, agent)).length;
+        const entry = { source: 'file', rule: pattern, ...(group.package && { package: group.package }), matched: group.files, hits: group.files.length };
+        credit(entry, agentList, weights.file, hitsFor, group.stack);
       }
     }
 
-    // Check file patterns
-    for (const file of files) {
-      for (const [pattern, agentList] of Object.entries(this.routingRules.filePatterns)) {
-        if (this.matchPattern(file, pattern)) {
-          agentList.forEach(agent => agents.add(agent));
+    // Check file contents when enabled
+    let content;
+    if ((context.scanContent ?? this.routingRules.content.enabled) && files.length > 0) {
+      const results = this.contentScanner.scan(files);
+      const byRule = new Map();
+
+      for (const { file, hits } of results) {
+        for (const hit of hits) {
+          const entry = byRule.get(hit.rule) || { agents: hit.agents, matched: [], evidence: [] };
+          entry.matched.push(file);
+          entry.evidence.push(hit.match);
+          byRule.set(hit.rule, entry);
+        }
+      }
+      for (const [rule, { agents, matched, evidence }] of byRule) {
+        credit({ source: 'content', rule, matched, evidence, hits: matched.length }, agents, weights.content);
+      }
+
+      content = {
+        scanned: results.filter(r => !r.skipped).length,
+        skipped: results.filter(r => r.skipped).map(({ file, skipped }) => ({ file, reason: skipped })),
+        notScanned: files.slice(this.contentScanner.maxFiles)
+      };
+    }
+
+    // Agents active in recent turns of the session, weighted down by how long ago.
+    // They only reinforce agents the task or files already point at, unless
+    // nothing does: a bare follow-up ("make it faster") inherits them all
+    const followUp = scores.size === 0;
+    for (const [agent, { weight, turn }] of Object.entries(context.sessionState?.agents || {})) {
+      if (followUp || scores.has(agent)) {
+        credit({ source: 'session', rule: `turn -${turn}`, matched: [agent], hits: 1 }, [agent], weights.session * weight);
+      }
+    }
+
+    // Project context only reinforces agents the task or files already point at
+    if (scope.projectInfo) {
+      const analyzer = new ProjectAnalyzer(this.projectRoot);
+      analyzer.projectInfo = { ...analyzer.projectInfo, ...scope.projectInfo };
+
+      for (const { agent, reason } of analyzer.getAgentRecommendations()) {
+        if (scores.has(agent) && reason !== 'baseline') {
+          credit({ source: 'context', rule: reason, matched: [reason], hits: 1 }, [agent], weights.context);
         }
       }
     }
 
-    // If no agents found, use general-purpose for research
-    if (agents.size === 0) {
-      return ['general-purpose'];
+    const candidates = [...scores.entries()]
+      .map(([agent, score]) => ({ agent, score: round(score), selected: false }))
+      .sort((a, b) => b.score - a.score);
+
+    // Agents for a stack the project does not use, unless the task names the stack or files point at them
+    const named = agent => stack.mentions[agent] && this.keywordMatcher.match(taskDoc, stack.mentions[agent]).hits > 0;
+    const suppressed = stack ? candidates
+      .filter(c => stack.unsupported.includes(c.agent) && !evidenced.has(c.agent) && !named(c.agent))
+      .map(c => c.agent) : [];
+
+    for (const candidate of candidates) {
+      const selectedCount = candidates.filter(c => c.selected).length;
+      if (suppressed.includes(candidate.agent)) {
+        candidate.reason = 'stack not used by project';
+      } else if (candidate.score < threshold) {
+        candidate.reason = 'below threshold';
+      } else if (maxAgents && selectedCount >= maxAgents) {
+        candidate.reason = 'over maxAgents';
+      } else {
+        candidate.selected = true;
+      }
     }
 
-    return this.orderAgentsByPriority(Array.from(agents));
+    const selected = candidates.filter(c => c.selected).map(c => c.agent);
+
+    return {
+      // If no agents found, use general-purpose for research
+      agents: selected.length > 0 ? this.orderAgentsByPriority(selected) : ['general-purpose'],
+      explain: {
+        locale: taskDoc.locale,
+        threshold,
+        maxAgents,
+        candidates,
+        rules,
+        ...(content && { content }),
+        ...(scope.packages.length > 0 && { packages: scope.packages }),
+        ...(stack && { stack: { active: stack.active, substitutions: stack.substitutions, suppressed } })
+      }
+    };
   }
 
   /**
-   * Match file path against pattern (simplified glob matching)
+   * Stack rules that hold for a project: agent substitutions for the stacks
+   * it uses, and the stack-specific agents it has no use for. Requirements on
+   * fields the projectInfo does not include are not checked.
    */
-  matchPattern(filePath, pattern) {
-    // Convert glob pattern to regex
-    const regexPattern = pattern
-      .replace(/\*\*/g, '.*')
-      .replace(/\*/g, '[^/]*')
-      .replace(/\?/g, '.');
+  resolveStack(projectInfo, context = {}) {
+    const { enabled, substitute, requires, mentions } = this.routingRules.stacks;
+    if (!projectInfo || !(context.stack ?? enabled)) return null;
+
+    const facts = { projectInfo };
+    const active = [];
+    const substitutions = {};
+    for (const [name, { when, agents }] of Object.entries(substitute)) {
+      if (Object.keys(when).every(field => projectInfo[field] !== undefined) &&
+          evaluateCondition({ project: when }, facts)) {
+        active.push(name);
+        Object.assign(substitutions, agents);
+      }
+    }
 
-    return new RegExp(`^${regexPattern}$`).test(filePath);
+    const unsupported = Object.entries(requires)
+      .filter(([, project]) => Object.keys(project).every(field => projectInfo[field] !== undefined))
+      .filter(([, project]) => !evaluateCondition({ project }, facts))
+      .map(([agent]) => agent);
+
+    return { active, substitutions, unsupported, mentions };
   }
 
   /**
-   * Order agents by priority and dependencies
+   * Stack of a route in a monorepo: a task whose files all sit in one
+   * workspace package routes for that package; otherwise files of a package
+   * use its stack and the rest of the task the roll-up.
+   * Returns { projectInfo, stack, packages, groupFiles(files) }.
    */
-  orderAgentsByPriority(agents) {
-    return agents.sort((a, b) => {
-      const capA = this.agentCapabilities[a];
-      const capB = this.agentCapabilities[b];
+  resolveScope(files, context = {}) {
+    const { projectInfo } = context;
+    const packageOf = file => findPackage(projectInfo?.workspace, file);
+    const touched = [...new Set(files.map(packageOf).filter(Boolean))];
+    const scoped = touched.length === 1 && files.every(packageOf) ? touched[0].projectInfo : projectInfo;
 
-      if (!capA || !capB) return 0;
+    const stack = this.resolveStack(scoped, context);
+    const stacks = new Map(touched.map(pkg => [
+      pkg,
+      pkg.projectInfo === scoped ? stack : this.resolveStack(pkg.projectInfo, context)
+    ]));
 
-      // Check dependencies
-      if (capA.dependencies.includes(b)) return 1;
-      if (capB.dependencies.includes(a)) return -1;
+    const groupFiles = matched => {
+      const groups = new Map();
+      for (const file of matched) {
+        const pkg = packageOf(file);
+        groups.set(pkg, [...(groups.get(pkg) || []), file]);
+      }
+      return [...groups].map(([pkg, group]) => ({
+        package: pkg?.name ?? null,
+        stack: pkg ? stacks.get(pkg) : stack,
+        files: group
+      }));
+    };
 
-      // Sort by priority
-      return (capA.priority || 99) - (capB.priority || 99);
-    });
+    return { projectInfo: scoped, stack, packages: touched.map(pkg => pkg.name), groupFiles };
   }
 
   /**
-   * Get execution plan for agents
+   * Swap generic agents for their stack-specific replacements, keeping order and dropping duplicates
    */
-  getExecutionPlan(agents, preferParallel = true) {
-    const plan = [];
-    const processed = new Set();
+  substituteAgents(agents, stack) {
+    if (!stack) return agents;
+    return [...new Set(agents.map(agent => stack.substitutions[agent] || agent))];
+  }
 
-    // Group agents that can run in parallel
-    const groups = [];
+  /**
+   * Run the ProjectAnalyzer once and remember its projectInfo for later routes
+   */
+  async loadProjectInfo({ refresh = false } = {}) {
+    if (!this.projectInfo || refresh) {
+      this.projectInfo = await this.createAnalyzer().analyze();
+    }
+    return this.projectInfo;
+  }
 
-    for (const agent of agents) {
-      const cap = this.agentCapabilities[agent];
-      if (!cap) continue;
+  /**
+   * A ProjectAnalyzer with the analysis settings of routing.yml
+   */
+  createAnalyzer() {
+    const { cache, ...scan } = this.routingRules.analysis;
+    return new ProjectAnalyzer(this.projectRoot, { scan, cache });
+  }
 
-      // Check if agent has unprocessed dependencies
-      const hasUnmetDeps = cap.dependencies.some(dep =>
-        agents.includes(dep) && !processed.has(dep)
-      );
+  /**
+   * route() with the project's stack: analyzes the project first unless
+   * context.projectInfo is given
+   */
+  async routeWithProject(taskDescription, context = {}) {
+    const projectInfo = context.projectInfo ?? await this.loadProjectInfo();
+    return this.route(taskDescription, { ...context, projectInfo });
+  }
 
-      if (hasUnmetDeps) {
-        // Add dependencies first
-        const depGroup = cap.dependencies.filter(dep =>
-          agents.includes(dep) && !processed.has(dep)
-        );
-        groups.push({ agents: depGroup, parallel: preferParallel });
-        depGroup.forEach(dep => processed.add(dep));
-      }
+  /**
+   * Agents and files of the session's recent turns; also marks those agents active
+   */
+  loadSessionState() {
+    const { path, maxTurns, expireAfter, decay } = this.routingRules.session;
+    const turns = recentTurns(loadSession(join(this.projectRoot, path)), { maxTurns, expireAfter });
+    const state = sessionContext(turns, { decay });
 
-      // Find or create group for this priority level
-      let group = groups.find(g =>
-        !g.agents.some(a =>
-          this.agentCapabilities[a]?.dependencies.includes(agent) ||
-          cap.dependencies.includes(a)
-        )
-      );
+    this.activeAgents = new Set(Object.keys(state.agents));
+    return { turns: turns.length, ...state };
+  }
 
-      if (!group) {
-        group = { agents: [], parallel: preferParallel };
-        groups.push(group);
-      }
+  /**
+   * Save a routed task as the newest turn of the session
+   *
+   * Agents selected only because the session carried them over are left
+   * out, so they keep decaying instead of being renewed every turn.
+   */
+  recordSessionTurn(taskDescription, result) {
+    const { path, maxTurns } = this.routingRules.session;
+    const sessionPath = join(this.projectRoot, path);
+    const credited = new Set((result.explain?.rules || [])
+      .filter(rule => rule.source !== 'session')
+      .flatMap(rule => rule.contributions.map(c => c.agent)));
+    const agents = [...new Set(result.executionPlan.flatMap(phase => phase.agents))]
+      .filter(agent => credited.has(agent) || !result.session.agents[agent]);
+
+    saveSession(sessionPath, recordTurn(loadSession(sessionPath), taskDescription, { agents, files: result.files }, { maxTurns }));
+    this.activeAgents = new Set([...Object.keys(result.session.agents), ...agents].filter(agent => agent !== 'general-purpose'));
+  }
 
-      group.agents.push(agent);
-      processed.add(agent);
+  /**
+   * Forget the session; the next route starts without inherited agents
+   */
+  resetSession() {
+    this.activeAgents = new Set();
+    return resetSession(join(this.projectRoot, this.routingRules.session.path));
+  }
+
+  /**
+   * Load the project's recorded corrections and derive learned rules from them
+   */
+  loadLearnedRules() {
+    const { enabled, path, penalty, minSupport } = this.routingRules.learning;
+    if (!enabled || !this.useProjectConfig) return { associations: {}, ruleFactors: {} };
+
+    const { corrections } = loadLearning(join(this.projectRoot, path));
+    return deriveLearnedRules(corrections, { penalty, minSupport });
+  }
+
+  /**
+   * Record a correction for a routed task: agents that should have been
+   * added or removed. Later routing uses it through the learned rules.
+   */
+  recordCorrection(taskDescription, { files = [], added = [], removed = [] } = {}) {
+    const known = Object.keys(this.agentCapabilities);
+    const unknown = [...added, ...removed].filter(agent => !known.includes(agent));
+    if (unknown.length > 0) {
+      throw new LearningError(`Unknown agent${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+    }
+    if (added.length === 0 && removed.length === 0) {
+      throw new LearningError('A correction needs at least one added or removed agent');
     }
 
-    return groups.filter(g => g.agents.length > 0);
+    const corrected = new Set([...added, ...removed]);
+    const { explain } = this.scoreAgents(taskDescription, files);
+    const rules = explain.rules
+      .filter(rule => rule.source !== 'learned')
+      .map(({ source, rule, contributions }) => ({
+        source,
+        rule,
+        agents: contributions.map(c => c.agent).filter(agent => corrected.has(agent))
+      }))
+      .filter(rule => rule.agents.length > 0);
+
+    const correction = createCorrection(taskDescription, {
+      terms: taskTerms(this.keywordMatcher.analyze(taskDescription)),
+      added,
+      removed,
+      rules
+    });
+
+    const path = join(this.projectRoot, this.routingRules.learning.path);
+    const store = loadLearning(path);
+    store.corrections.push(correction);
+    saveLearning(path, store);
+
+    this.learned = this.loadLearnedRules();
+    return correction;
+  }
+
+  /**
+   * Match file path against a glob or list of globs (compiled patterns are cached)
+   */
+  matchPattern(filePath, pattern) {
+    return matchGlob(filePath, pattern);
+  }
+
+  /**
+   * Order agents so dependencies come first, then by priority
+   */
+  orderAgentsByPriority(agents) {
+    return scheduleAgents(agents, this.agentCapabilities).levels.flat();
+  }
+
+  /**
+   * Get execution plan for agents
+   *
+   * Groups are topological levels of the dependency graph. With
+   * includeDependencies, missing dependencies are pulled in and listed
+   * in the group's "implicit" array.
+   */
+  getExecutionPlan(agents, preferParallel = true, options = {}) {
+    const { levels, implicit } = scheduleAgents(agents, this.agentCapabilities, options);
+
+    return levels.map(level => {
+      const group = { agents: level, parallel: preferParallel };
+      const implicitInGroup = level.filter(agent => implicit.includes(agent));
+      if (implicitInGroup.length > 0) {
+        group.implicit = implicitInGroup;
+      }
+      return group;
+    });
   }
 
   /**
    * Route task to appropriate agents with execution plan
    */
   route(taskDescription, context = {}) {
-    const { files = [], chainType = null, parallel = true } = context;
+    if (context.projectInfo === undefined && this.projectInfo) {
+      context = { ...context, projectInfo: this.projectInfo };
+    }
+    // Detect the task's language once; every later analysis of the task uses it
+    context = { ...context, locale: context.locale ?? this.keywordMatcher.analyze(taskDescription).locale };
+    const useSession = this.useProjectConfig && (context.session ?? this.routingRules.session.enabled);
+    if (useSession) {
+      context.sessionState = this.loadSessionState();
+    }
+    const { chainType = null, parallel = true, includeDependencies = false, git = null } = context;
+    const files = this.resolveFiles(context.files, git);
+    let result;
 
-    // Check for predefined chains
-    if (chainType && this.routingRules.agentChains[chainType]) {
-      return {
-        agents: this.routingRules.agentChains[chainType],
-        type: 'chain',
-        chainType
+    // Use an explicit chain, or infer one from the task
+    const chain = this.selectChain(taskDescription, chainType, context);
+    if (chain) {
+      result = this.routeChain(taskDescription, chain, files, context);
+    } else {
+      // Analyze task to find agents
+      const { agents, explain } = this.scoreAgents(taskDescription, files, context);
+
+      // Get execution plan
+      const executionPlan = this.getExecutionPlan(agents, parallel, { includeDependencies });
+      const implicitAgents = executionPlan.flatMap(group => group.implicit || []);
+
+      result = {
+        agents: executionPlan.flatMap(group => group.agents),
+        executionPlan,
+        implicitAgents,
+        explain,
+        files,
+        perFile: this.breakdownByFile(files, explain, context.projectInfo?.workspace),
+        type: 'dynamic'
       };
     }
 
-    // Analyze task to find agents
-    const agents = this.analyzeTask(taskDescription, files);
+    result.locale = context.locale;
+
+    const budget = this.resolveBudget(context.budget);
+    if (budget) {
+      result = this.applyBudget(result, taskDescription, budget, context);
+    }
+
+    if (useSession) {
+      const { turns, agents, files } = context.sessionState;
+      result.session = { turns, agents, files };
+      this.recordSessionTurn(taskDescription, result);
+    }
+
+    if (context.log ?? this.routingRules.log.enabled) {
+      this.logDecision(taskDescription, result);
+    }
+    return result;
+  }
+
+  /**
+   * Budget settings for a route: context.budget may be a token count or a
+   * { tokens | chars, ... } override of the configured budget
+   */
+  resolveBudget(override) {
+    if (override === false) return null;
+
+    let overrides = typeof override === 'number' ? { tokens: override } : override || {};
+    // A character budget given per route replaces a configured token budget
+    if (overrides.chars && overrides.tokens === undefined) overrides = { ...overrides, tokens: null };
+
+    const budget = mergeSettings(this.routingRules.budget, overrides);
+
+    const limit = budget.tokens ?? (budget.chars ? estimateTokens(budget.chars, budget.charsPerToken) : null);
+    return limit ? { ...budget, limit } : null;
+  }
+
+  /**
+   * Trim a routing result's plan to the budget and attach the budget report
+   */
+  applyBudget(result, taskDescription, budget, context = {}) {
+    const terms = taskTerms(this.keywordMatcher.analyze(taskDescription, { locale: context.locale }));
+    const agents = [...new Set(result.executionPlan.flatMap(phase => phase.agents))];
+    const specs = Object.fromEntries(agents.map(agent => [agent, this.estimateSpec(agent, terms, budget)]));
+
+    // Agents without a score are chain members (kept to the end) or implicit dependencies (dropped first)
+    const scores = {};
+    for (const agent of agents) {
+      const candidate = result.explain?.candidates.find(c => c.agent === agent);
+      scores[agent] = candidate ? candidate.score : result.type === 'chain' ? Infinity : 0;
+    }
+
+    // Chain phases run in their given order; dynamic plans only wait on dependencies
+    const closure = result.type === 'chain' ? null : transitiveDependencies(agents, this.agentCapabilities);
+    const dependsOn = closure ? (agent, other) => Boolean(closure.get(agent)?.has(other)) : () => true;
+
+    const { phases, report } = fitPlanToBudget(result.executionPlan, {
+      limit: budget.limit,
+      specs,
+      scores,
+      strategies: budget.strategies,
+      handoffTokens: budget.handoffTokens,
+      dependsOn
+    });
+
+    const kept = new Set(phases.flatMap(phase => phase.agents));
+    return {
+      ...result,
+      agents: result.type === 'chain' ? phases : [...kept],
+      executionPlan: phases,
+      ...(result.implicitAgents && { implicitAgents: result.implicitAgents.filter(agent => kept.has(agent)) }),
+      budget: report
+    };
+  }
+
+  /**
+   * Spec size of an agent, in full and trimmed to the sections relevant to the task
+   */
+  estimateSpec(agent, terms, { charsPerToken = 4, maxSections = 3 } = {}) {
+    const body = this.getSpecBody(agent);
+    if (!body) return { tokens: 0, trimmedTokens: 0, sections: [] };
+
+    const units = selectRelevantUnits(splitSpecUnits(body), terms, { maxSections });
+    const trimmedChars = units.reduce((sum, unit) => sum + unit.title.length + unit.content.length, 0);
+    return {
+      tokens: estimateTokens(body.length, charsPerToken),
+      trimmedTokens: estimateTokens(trimmedChars, charsPerToken),
+      sections: units.map(unit => unit.title)
+    };
+  }
+
+  /**
+   * Append a routing decision to the local log; a log that cannot be
+   * written is reported as a warning and never fails the route
+   */
+  logDecision(taskDescription, result) {
+    const logPath = join(this.projectRoot, this.routingRules.log.path);
+    try {
+      appendDecision(logPath, createDecisionEntry(taskDescription, result));
+    } catch (error) {
+      process.emitWarning(`Could not write routing log ${logPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick the chain for a task: an explicit chainType wins, otherwise the
+   * chain whose trigger keywords match (unless inference is disabled)
+   */
+  selectChain(taskDescription, chainType, context = {}) {
+    const chains = this.routingRules.agentChains;
+
+    if (chainType && chainType !== 'auto') {
+      return chains[chainType] ? { name: chainType, inferred: null } : null;
+    }
+    if (!(context.inferChain ?? this.routingRules.chainInference.enabled)) {
+      return null;
+    }
+
+    const taskDoc = this.keywordMatcher.analyze(taskDescription, { locale: context.locale });
+    const inferred = inferChain(this.chainTriggersFor(taskDoc.locale), {
+      taskDoc,
+      matcher: this.keywordMatcher,
+      minCues: this.routingRules.chainInference.minCues
+    });
+    return inferred && chains[inferred.chain] ? { name: inferred.chain, inferred } : null;
+  }
+
+  /**
+   * Chain triggers for a task language: the configured ones plus the locale's
+   */
+  chainTriggersFor(locale) {
+    const triggers = { ...this.routingRules.chainTriggers };
+    for (const [chain, rule] of Object.entries(this.locales[locale]?.chainTriggers || {})) {
+      triggers[chain] = triggers[chain] ? `${triggers[chain]}|${rule}` : rule;
+    }
+    return triggers;
+  }
+
+  /**
+   * Resolve a chain's conditional phases for these files and project
+   */
+  routeChain(taskDescription, { name, inferred }, files, context = {}) {
+    const { projectInfo, stack } = this.resolveScope(files, context);
+    const facts = {
+      files,
+      projectInfo: projectInfo || {},
+      taskDoc: this.keywordMatcher.analyze(taskDescription, { locale: context.locale }),
+      matcher: this.keywordMatcher
+    };
+    let { phases, skipped } = resolveChain(this.routingRules.agentChains[name], facts);
+    phases = phases.map(phase => ({ ...phase, agents: this.substituteAgents(phase.agents, stack) }));
 
-    // Get execution plan
-    const executionPlan = this.getExecutionPlan(agents, parallel);
+    const result = { type: 'chain', chainType: name };
+    if (inferred) {
+      result.inferred = { rule: inferred.rule, matched: inferred.matched };
+
+      if (this.routingRules.chainInference.mergeMatched) {
+        const { agents, explain } = this.scoreAgents(taskDescription, files, context);
+        const scored = explain.candidates.filter(c => c.reason === 'below threshold').map(c => c.agent);
+        phases = mergeIntoChain(phases, agents, scored);
+        result.explain = explain;
+        result.perFile = this.breakdownByFile(files, explain, context.projectInfo?.workspace);
+      }
+    }
+
+    // parallel: false runs every agent on its own, chain phases included
+    if (context.parallel === false) {
+      phases = phases.map(phase => ({ ...phase, parallel: false }));
+    }
 
     return {
-      agents: agents,
-      executionPlan,
-      type: 'dynamic'
+      agents: phases,
+      executionPlan: phases,
+      skipped,
+      files,
+      ...result
     };
   }
 
+  /**
+   * Combine explicit files with the changed files of a git source
+   * ('working', 'staged' or 'base..head')
+   */
+  resolveFiles(files = [], gitSource = null) {
+    if (!gitSource) return files;
+    return [...new Set([...files, ...listChangedFiles(gitSource, { cwd: this.projectRoot })])];
+  }
+
+  /**
+   * Break a scoring trace down per file: which agents each file pulled in, and through which rules
+   */
+  breakdownByFile(files, explain, workspace = null) {
+    const selected = new Set(explain.candidates.filter(c => c.selected).map(c => c.agent));
+    const exclusions = explain.rules.filter(r => r.source === 'file-exclusion');
+
+    return files.map(file => {
+      const excluded = agent => exclusions.some(e =>
+        e.matched.includes(file) && (e.agents.length === 0 || e.agents.includes(agent))
+      );
+      const rules = explain.rules.filter(r =>
+        (r.source === 'file' || r.source === 'content') && r.matched.includes(file)
+      );
+      const agents = [...new Set(rules.flatMap(r => r.contributions.map(c => c.agent)))]
+        .filter(agent => !excluded(agent));
+
+      const pkg = findPackage(workspace, file);
+      return {
+        file,
+        ...(pkg && { package: pkg.name }),
+        agents: agents.filter(agent => selected.has(agent)),
+        unselected: agents.filter(agent => !selected.has(agent)),
+        rules: rules.map(r => `${r.source}: ${r.rule}`)
+      };
+    });
+  }
+
   /**
    * Generate Claude Code Task tool calls
+   *
+   * Each call carries its phase index, a stable id ("p1-frontend-agent") and
+   * the ids of the previous phase it depends on. Prompts include the agent's
+   * spec excerpt, its matched files and a {{output:<id>}} placeholder per
+   * upstream call for the caller to fill with that call's output summary.
+   *
+   * subagent_type is the identifier of the installed agent. An agent that is
+   * not installed runs as the first installed agent of its fallback chain,
+   * keeping its own spec excerpt in the prompt; `fallbackFrom` names it.
    */
   generateTaskCalls(routingResult, taskDescription) {
-    const { agents, executionPlan, type } = routingResult;
+    const { agents, executionPlan, type, perFile = [] } = routingResult;
+    const phases = type === 'chain' ? agents : executionPlan;
+    // Follow-ups without files of their own work on the files of earlier turns
+    const earlierFiles = routingResult.files?.length > 0 ? [] : routingResult.session?.files || [];
     const calls = [];
+    let previousIds = [];
+
+    phases.forEach((phase, index) => {
+      const phaseCalls = phase.agents.map(agent => {
+        const id = `p${index}-${agent}`;
+        // Phases merged for the budget keep the order of the agents they folded together
+        const dependsOn = [...previousIds, ...(phase.waitsOn?.[agent] || []).map(other => `p${index}-${other}`)];
+        const files = perFile.filter(entry => entry.agents.includes(agent)).map(entry => entry.file);
+        const installed = this.registry.resolve(agent);
+        const spec = routingResult.budget?.specs[agent];
 
-    if (type === 'chain') {
-      // Use predefined chain
-      for (const phase of agents) {
-        const phaseCalls = phase.agents.map(agent => ({
+        return {
+          id,
+          phase: index,
+          dependsOn,
           tool: 'Task',
-          subagent_type: agent === 'general-purpose' ? 'general-purpose' : agent.replace('-agent', ''),
+          agent,
+          subagent_type: installed.id,
+          ...(installed.agent !== agent && { fallbackFrom: agent }),
           description: `${agent}: ${taskDescription}`,
-          prompt: taskDescription,
+          prompt: this.buildAgentPrompt(agent, taskDescription, { files, earlierFiles, dependsOn, spec }),
+          ...(spec && { spec }),
           parallel: phase.parallel
-        }));
-        calls.push(...phaseCalls);
-      }
-    } else {
-      // Use dynamic execution plan
-      for (const group of executionPlan) {
-        const groupCalls = group.agents.map(agent => ({
-          tool: 'Task',
-          subagent_type: agent === 'general-purpose' ? 'general-purpose' : agent.replace('-agent', ''),
-          description: `${agent}: ${taskDescription}`,
-          prompt: taskDescription,
-          parallel: group.parallel
-        }));
-        calls.push(...groupCalls);
-      }
-    }
+        };
+      });
+
+      calls.push(...phaseCalls);
+      previousIds = phaseCalls.map(call => call.id);
+    });
 
     return calls;
   }
+
+  /**
+   * Check routed agents against the installed agents
+   * Returns the agents that are missing and what each one will run as
+   */
+  checkInstalled(agents) {
+    return [...new Set(agents)]
+      .map(agent => ({ agent, installed: this.registry.resolve(agent) }))
+      .filter(({ agent, installed }) => installed.agent !== agent)
+      .map(({ agent, installed }) => ({ agent, runsAs: installed.agent, id: installed.id, tried: installed.missing }));
+  }
+
+  /**
+   * Build the prompt for one agent's Task call
+   */
+  buildAgentPrompt(agent, taskDescription, { files = [], earlierFiles = [], dependsOn = [], spec = null } = {}) {
+    const sections = [`## Task\n${taskDescription}`];
+
+    const excerpt = this.getSpecExcerpt(agent);
+    if (excerpt) {
+      const reference = spec?.mode === 'sections'
+        ? `Use only these sections of agents/${agent}.md:\n${spec.sections.map(title => `- ${title}`).join('\n')}`
+        : `Full spec: agents/${agent}.md`;
+      sections.push(`## Your role: ${agent}\n${excerpt}\n\n${reference}`);
+    }
+
+    if (files.length > 0) {
+      sections.push(`## Files routed to you\n${files.map(file => `- ${file}`).join('\n')}`);
+    }
+
+    if (earlierFiles.length > 0) {
+      sections.push(`## Files from earlier turns\n${earlierFiles.map(file => `- ${file}`).join('\n')}`);
+    }
+
+    if (dependsOn.length > 0) {
+      sections.push(
+        '## Previous phase output\n' +
+        dependsOn.map(id => `### ${id}\n{{output:${id}}}`).join('\n\n')
+      );
+    }
+
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Role and responsibilities excerpt of an agent's spec
+   */
+  getSpecExcerpt(agent) {
+    const body = this.getSpecBody(agent);
+    return body ? extractSpecExcerpt(body) : null;
+  }
+
+  /**
+   * Markdown body of an agent's spec, without frontmatter (cached)
+   */
+  getSpecBody(agent) {
+    this.specBodies ||= new Map();
+    if (this.specBodies.has(agent)) return this.specBodies.get(agent);
+
+    const specPath = join(this.agentsDir, `${agent}.md`);
+    const body = existsSync(specPath)
+      ? parseFrontmatter(readFileSync(specPath, 'utf8'), `${agent}.md`).body
+      : null;
+
+    this.specBodies.set(agent, body);
+    return body;
+  }
 }
 
 // Export for use in Claude Code
@@ -0,0 +1,843 @@
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import yaml from 'js-yaml';
+import { CONDITION_KEYS, PROJECT_FIELDS } from './chains.js';
+import { AGENT_SOURCES, BUILTIN_AGENTS } from './agent-registry.js';
+import { BUDGET_STRATEGIES } from './context-budget.js';
+
+/**
+ * Project routing overrides
+ * Loads .vibecode/routing.yml and merges it on top of the built-in routing rules
+ */
+
+export const ROUTING_CONFIG_PATH = join('.vibecode', 'routing.yml');
+
+const OPERATIONS = ['add', 'replace', 'disable'];
+
+export class RoutingConfigError extends Error {
+  constructor(file, issues) {
+    super(
+      `Invalid routing config ${file}:\n` +
+      issues.map(i => `  ${file}:${i.line ?? '?'}: ${i.path ? `${i.path}: ` : ''}${i.message}`).join('\n')
+    );
+    this.name = 'RoutingConfigError';
+    this.file = file;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Schema for each rule section: how to validate one rule value
+ */
+const RULE_SECTIONS = {
+  filePatterns: { describe: 'file pattern', validateValue: validateFilePatternAgents },
+  taskKeywords: { describe: 'keyword rule', validateValue: validateAgentList, validateKey: validateKeywordKey },
+  agentChains: {
+    describe: 'chain',
+    validateValue: validateChain,
+    exclusiveAdd: true,
+    normalize: phases => phases.map(({ parallel = false, ...phase }) => ({ ...phase, parallel }))
+  },
+  chainTriggers: {
+    describe: 'chain trigger',
+    validateValue: validateChainTrigger,
+    validateKey: validateTriggeredChain,
+    merge: (existing, value) => `${existing}|${value}`
+  }
+};
+
+const mergeAgentLists = (existing, value) => [...new Set([...existing, ...value])];
+
+/**
+ * Schema for each settings section: merged key by key over the defaults
+ */
+const SETTINGS_SECTIONS = {
+  scoring: { validate: validateScoring },
+  content: { validate: validateContent },
+  synonyms: { validate: validateSynonyms },
+  chainInference: { validate: validateChainInference },
+  log: { validate: validateLog },
+  learning: { validate: validateLearning },
+  stacks: { validate: validateStacks },
+  registry: { validate: validateRegistry },
+  budget: { validate: validateBudget },
+  locales: { validate: validateLocales },
+  session: { validate: validateSession },
+  analysis: { validate: validateAnalysis }
+};
+
+function validateScoring(value, ctx) {
+  const numberAtLeast = (key, min, max = Infinity) => {
+    const v = value[key];
+    if (v !== undefined && (typeof v !== 'number' || v < min || v > max)) {
+      ctx.issue(['scoring', key], `"${key}" must be a number${max === Infinity ? ` >= ${min}` : ` between ${min} and ${max}`}`);
+    }
+  };
+
+  if (!isMapping(value)) {
+    ctx.issue(['scoring'], 'must be a mapping');
+    return;
+  }
+  for (const key of Object.keys(value)) {
+    if (!['weights', 'rankDecay', 'threshold', 'maxAgents'].includes(key)) {
+      ctx.issue(['scoring', key], `unknown scoring option "${key}"${suggest(key, ['weights', 'rankDecay', 'threshold', 'maxAgents'])}`);
+    }
+  }
+  if (value.weights !== undefined) {
+    if (!isMapping(value.weights)) {
+      ctx.issue(['scoring', 'weights'], 'must map rule sources to weights');
+    } else {
+      for (const [source, weight] of Object.entries(value.weights)) {
+        if (!['keyword', 'file', 'content', 'context', 'learned', 'session'].includes(source)) {
+          ctx.issue(['scoring', 'weights', source], `unknown rule source "${source}"`);
+        } else if (typeof weight !== 'number' || weight < 0) {
+          ctx.issue(['scoring', 'weights', source], 'weight must be a number >= 0');
+        }
+      }
+    }
+  }
+  numberAtLeast('rankDecay', 0, 1);
+  numberAtLeast('threshold', 0);
+  if (value.maxAgents !== undefined && value.maxAgents !== null &&
+      !(Number.isInteger(value.maxAgents) && value.maxAgents > 0)) {
+    ctx.issue(['scoring', 'maxAgents'], '"maxAgents" must be a positive integer or null');
+  }
+}
+
+function validateAgentList(value, ctx, path) {
+  if (!Array.isArray(value) || value.length === 0) {
+    ctx.issue(path, 'must be a non-empty list of agent names');
+    return;
+  }
+  value.forEach((agent, i) => validateAgentName(agent, ctx, [...path, i]));
+}
+
+function validateFilePatternAgents(value, ctx, path) {
+  // Exclusion patterns ("!**/fixtures/**") may use an empty list to exclude files for every agent
+  if (String(path[path.length - 1]).startsWith('!') && Array.isArray(value) && value.length === 0) return;
+  validateAgentList(value, ctx, path);
+}
+
+function validateAgentName(agent, ctx, path) {
+  if (typeof agent !== 'string') {
+    ctx.issue(path, 'agent name must be a string');
+  } else if (!ctx.agents.has(agent)) {
+    ctx.issue(path, `unknown agent "${agent}"${suggest(agent, ctx.agents)}`);
+  }
+}
+
+function validateKeywordKey(key, ctx, path) {
+  const alternatives = key.split('|').map(alt => alt.trim());
+  if (alternatives.some(alt => !/^[\p{L}\p{N}][\p{L}\p{N}\s'’/-]*$/u.test(alt))) {
+    ctx.issue(path, 'keyword rules are "|"-separated words or phrases (e.g. "ledger|general ledger")');
+  }
+}
+
+function validateContent(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['content'], 'must be a mapping');
+    return;
+  }
+  for (const [key, option] of Object.entries(value)) {
+    const path = ['content', key];
+    if (key === 'enabled') {
+      if (typeof option !== 'boolean') ctx.issue(path, '"enabled" must be true or false');
+    } else if (key === 'maxBytes' || key === 'maxFiles') {
+      if (!Number.isInteger(option) || option < 1) ctx.issue(path, `"${key}" must be a positive integer`);
+    } else if (key === 'imports') {
+      if (!isMapping(option)) {
+        ctx.issue(path, 'must map package names to agent lists');
+      } else {
+        for (const [specifier, agents] of Object.entries(option)) {
+          validateAgentList(agents, ctx, [...path, specifier]);
+        }
+      }
+    } else {
+      ctx.issue(path, `unknown content option "${key}"${suggest(key, ['enabled', 'maxBytes', 'maxFiles', 'imports'])}`);
+    }
+  }
+}
+
+function validateChainInference(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['chainInference'], 'must be a mapping');
+    return;
+  }
+  for (const [key, option] of Object.entries(value)) {
+    const path = ['chainInference', key];
+    if (key === 'minCues') {
+      validateMinCues(option, ctx);
+    } else if (!['enabled', 'mergeMatched'].includes(key)) {
+      ctx.issue(path, `unknown option "${key}"${suggest(key, ['enabled', 'mergeMatched', 'minCues'])}`);
+    } else if (typeof option !== 'boolean') {
+      ctx.issue(path, `"${key}" must be true or false`);
+    }
+  }
+}
+
+/**
+ * minCues: one positive integer for every chain, or a mapping of chain name to one
+ */
+function validateMinCues(value, ctx) {
+  const path = ['chainInference', 'minCues'];
+  const positive = count => Number.isInteger(count) && count >= 1;
+  if (!isMapping(value)) {
+    if (!positive(value)) ctx.issue(path, '"minCues" must be a positive integer or map chain names to one');
+    return;
+  }
+  for (const [chain, count] of Object.entries(value)) {
+    validateTriggeredChain(chain, ctx, [...path, chain]);
+    if (!positive(count)) ctx.issue([...path, chain], `"minCues" for "${chain}" must be a positive integer`);
+  }
+}
+
+function validateLog(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['log'], 'must be a mapping');
+    return;
+  }
+  for (const [key, option] of Object.entries(value)) {
+    const path = ['log', key];
+    if (key === 'enabled') {
+      if (typeof option !== 'boolean') ctx.issue(path, '"enabled" must be true or false');
+    } else if (key === 'path') {
+      if (typeof option !== 'string' || !option.trim()) ctx.issue(path, '"path" must be a file path');
+    } else {
+      ctx.issue(path, `unknown log option "${key}"${suggest(key, ['enabled', 'path'])}`);
+    }
+  }
+}
+
+function validateLearning(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['learning'], 'must be a mapping');
+    return;
+  }
+  for (const [key, option] of Object.entries(value)) {
+    const path = ['learning', key];
+    if (key === 'enabled') {
+      if (typeof option !== 'boolean') ctx.issue(path, '"enabled" must be true or false');
+    } else if (key === 'path') {
+      if (typeof option !== 'string' || !option.trim()) ctx.issue(path, '"path" must be a file path');
+    } else if (key === 'penalty') {
+      if (typeof option !== 'number' || option < 0 || option > 1) ctx.issue(path, '"penalty" must be a number between 0 and 1');
+    } else if (key === 'minSupport') {
+      if (!Number.isInteger(option) || option < 1) ctx.issue(path, '"minSupport" must be a positive integer');
+    } else {
+      ctx.issue(path, `unknown learning option "${key}"${suggest(key, ['enabled', 'path', 'penalty', 'minSupport'])}`);
+    }
+  }
+}
+
+function validateAnalysis(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['analysis'], 'must be a mapping');
+    return;
+  }
+  for (const [key, option] of Object.entries(value)) {
+    const path = ['analysis', key];
+    if (key === 'maxDepth') {
+      if (!Number.isInteger(option) || option < 1) ctx.issue(path, '"maxDepth" must be a positive integer');
+    } else if (key === 'timeBudget') {
+      if (option !== null && (typeof option !== 'number' || option <= 0)) ctx.issue(path, '"timeBudget" must be a number of milliseconds, or null for no limit');
+    } else if (key === 'ignore') {
+      if (!Array.isArray(option) || !option.every(p => typeof p === 'string' && p.trim())) ctx.issue(path, '"ignore" must be a list of .gitignore-style patterns');
+    } else if (key === 'cache') {
+      if (option !== null && (typeof option !== 'string' || !option.trim())) ctx.issue(path, '"cache" must be a file path, or null to analyze every time');
+    } else {
+      ctx.issue(path, `unknown analysis option "${key}"${suggest(key, ['maxDepth', 'timeBudget', 'ignore', 'cache'])}`);
+    }
+  }
+}
+
+function validateSession(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['session'], 'must be a mapping');
+    return;
+  }
+  for (const [key, option] of Object.entries(value)) {
+    const path = ['session', key];
+    if (key === 'enabled') {
+      if (typeof option !== 'boolean') ctx.issue(path, '"enabled" must be true or false');
+    } else if (key === 'path') {
+      if (typeof option !== 'string' || !option.trim()) ctx.issue(path, '"path" must be a file path');
+    } else if (key === 'maxTurns') {
+      if (!Number.isInteger(option) || option < 1) ctx.issue(path, '"maxTurns" must be a positive integer');
+    } else if (key === 'decay') {
+      if (typeof option !== 'number' || option < 0 || option > 1) ctx.issue(path, '"decay" must be a number between 0 and 1');
+    } else if (key === 'expireAfter') {
+      if (option !== null && (typeof option !== 'number' || option <= 0)) ctx.issue(path, '"expireAfter" must be a number of minutes, or null to never expire');
+    } else {
+      ctx.issue(path, `unknown session option "${key}"${suggest(key, ['enabled', 'path', 'maxTurns', 'decay', 'expireAfter'])}`);
+    }
+  }
+}
+
+function validateStacks(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['stacks'], 'must be a mapping');
+    return;
+  }
+  for (const [key, option] of Object.entries(value)) {
+    const path = ['stacks', key];
+    if (key === 'enabled') {
+      if (typeof option !== 'boolean') ctx.issue(path, '"enabled" must be true or false');
+    } else if (key === 'substitute') {
+      if (!isMapping(option)) {
+        ctx.issue(path, 'must map stack names to { when, agents }');
+        continue;
+      }
+      for (const [stack, rule] of Object.entries(option)) {
+        const rulePath = [...path, stack];
+        if (!isMapping(rule) || !isMapping(rule.agents)) {
+          ctx.issue(rulePath, 'must be a mapping with "when" (project fields) and "agents" (agent → replacement)');
+          continue;
+        }
+        validateProjectCondition(rule.when, ctx, [...rulePath, 'when']);
+        for (const [from, to] of Object.entries(rule.agents)) {
+          validateAgentName(from, ctx, [...rulePath, 'agents', from]);
+          validateAgentName(to, ctx, [...rulePath, 'agents', from]);
+        }
+      }
+    } else if (key === 'requires') {
+      if (!isMapping(option)) {
+        ctx.issue(path, 'must map agents to the project fields they need');
+        continue;
+      }
+      for (const [agent, condition] of Object.entries(option)) {
+        validateAgentName(agent, ctx, [...path, agent]);
+        validateProjectCondition(condition, ctx, [...path, agent]);
+      }
+    } else if (key === 'mentions') {
+      if (!isMapping(option)) {
+        ctx.issue(path, 'must map agents to the keyword rule that names their stack');
+        continue;
+      }
+      for (const [agent, rule] of Object.entries(option)) {
+        validateAgentName(agent, ctx, [...path, agent]);
+        if (typeof rule !== 'string') ctx.issue([...path, agent], 'must be a keyword rule');
+        else validateKeywordKey(rule, ctx, [...path, agent]);
+      }
+    } else {
+      ctx.issue(path, `unknown stacks option "${key}"${suggest(key, ['enabled', 'substitute', 'requires', 'mentions'])}`);
+    }
+  }
+}
+
+function validateRegistry(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['registry'], 'must be a mapping');
+    return;
+  }
+  for (const [key, option] of Object.entries(value)) {
+    const path = ['registry', key];
+    if (key === 'sources') {
+      if (!Array.isArray(option) || option.length === 0) {
+        ctx.issue(path, `must be a non-empty list of ${AGENT_SOURCES.join(', ')}`);
+        continue;
+      }
+      option.forEach((source, i) => {
+        if (!AGENT_SOURCES.includes(source)) {
+          ctx.issue([...path, i], `unknown agent source "${source}"${suggest(source, AGENT_SOURCES)}`);
+        }
+      });
+    } else if (key === 'fallbacks') {
+      if (!isMapping(option)) {
+        ctx.issue(path, 'must map agents to the list of agents to try when they are missing');
+        continue;
+      }
+      for (const [agent, chain] of Object.entries(option)) {
+        validateAgentName(agent, ctx, [...path, agent]);
+        if (!Array.isArray(chain)) {
+          ctx.issue([...path, agent], 'must be a list of agent names');
+          continue;
+        }
+        chain.forEach((fallback, i) => {
+          if (!BUILTIN_AGENTS.includes(fallback)) validateAgentName(fallback, ctx, [...path, agent, i]);
+        });
+      }
+    } else {
+      ctx.issue(path, `unknown registry option "${key}"${suggest(key, ['sources', 'fallbacks'])}`);
+    }
+  }
+}
+
+function validateBudget(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['budget'], 'must be a mapping');
+    return;
+  }
+  const keys = ['tokens', 'chars', 'charsPerToken', 'handoffTokens', 'maxSections', 'strategies'];
+  for (const [key, option] of Object.entries(value)) {
+    const path = ['budget', key];
+    if (key === 'tokens' || key === 'chars') {
+      if (option !== null && (!Number.isInteger(option) || option < 1)) ctx.issue(path, `"${key}" must be a positive integer, or null for no budget`);
+    } else if (key === 'charsPerToken') {
+      if (typeof option !== 'number' || option <= 0) ctx.issue(path, '"charsPerToken" must be a positive number');
+    } else if (key === 'handoffTokens' || key === 'maxSections') {
+      if (!Number.isInteger(option) || option < 0) ctx.issue(path, `"${key}" must be a non-negative integer`);
+    } else if (key === 'strategies') {
+      if (!Array.isArray(option)) {
+        ctx.issue(path, `must be a list of ${BUDGET_STRATEGIES.join(', ')}`);
+        continue;
+      }
+      option.forEach((strategy, i) => {
+        if (!BUDGET_STRATEGIES.includes(strategy)) {
+          ctx.issue([...path, i], `unknown budget strategy "${strategy}"${suggest(strategy, BUDGET_STRATEGIES)}`);
+        }
+      });
+    } else {
+      ctx.issue(path, `unknown budget option "${key}"${suggest(key, keys)}`);
+    }
+  }
+}
+
+function validateLocales(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['locales'], 'must be a mapping');
+    return;
+  }
+  for (const [key, option] of Object.entries(value)) {
+    const path = ['locales', key];
+    if (key === 'default') {
+      if (typeof option !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(option)) ctx.issue(path, '"default" must be a locale code such as en or nb');
+    } else if (key === 'detect') {
+      if (typeof option !== 'boolean') ctx.issue(path, '"detect" must be true or false');
+    } else if (key === 'path') {
+      if (typeof option !== 'string' || !option.trim()) ctx.issue(path, '"path" must be a directory path');
+    } else {
+      ctx.issue(path, `unknown locales option "${key}"${suggest(key, ['default', 'detect', 'path'])}`);
+    }
+  }
+}
+
+function validateSynonyms(value, ctx) {
+  if (!isMapping(value)) {
+    ctx.issue(['synonyms'], 'must map a keyword to its list of synonyms');
+    return;
+  }
+  for (const [term, list] of Object.entries(value)) {
+    if (!Array.isArray(list) || !list.every(item => typeof item === 'string' && item.trim())) {
+      ctx.issue(['synonyms', term], 'must be a list of words or phrases');
+    }
+  }
+}
+
+function validateChain(value, ctx, path) {
+  if (!Array.isArray(value) || value.length === 0) {
+    ctx.issue(path, 'chain must be a non-empty list of phases');
+    return;
+  }
+  value.forEach((phase, i) => {
+    const phasePath = [...path, i];
+    if (!isMapping(phase)) {
+      ctx.issue(phasePath, 'phase must be a mapping with "agents" and optional "parallel", "when", "unless"');
+      return;
+    }
+    for (const key of Object.keys(phase)) {
+      if (!['agents', 'parallel', 'when', 'unless'].includes(key)) {
+        ctx.issue([...phasePath, key], `unknown phase key "${key}"${suggest(key, ['agents', 'parallel', 'when', 'unless'])}`);
+      }
+    }
+    validateConditions(phase, ctx, phasePath);
+
+    if (!Array.isArray(phase.agents) || phase.agents.length === 0) {
+      ctx.issue([...phasePath, 'agents'], 'must be a non-empty list of agent names');
+    } else {
+      phase.agents.forEach((entry, j) => {
+        const entryPath = [...phasePath, 'agents', j];
+        if (!isMapping(entry)) {
+          validateAgentName(entry, ctx, entryPath);
+          return;
+        }
+        for (const key of Object.keys(entry)) {
+          if (!['agent', 'when', 'unless'].includes(key)) {
+            ctx.issue([...entryPath, key], `unknown agent entry key "${key}"`);
+          }
+        }
+        validateAgentName(entry.agent, ctx, [...entryPath, 'agent']);
+        validateConditions(entry, ctx, entryPath);
+      });
+    }
+
+    if (phase.parallel !== undefined && typeof phase.parallel !== 'boolean') {
+      ctx.issue([...phasePath, 'parallel'], '"parallel" must be true or false');
+    }
+  });
+}
+
+function validateProjectCondition(value, ctx, path) {
+  if (!isMapping(value)) {
+    ctx.issue(path, 'must map project fields to expected values');
+    return;
+  }
+  for (const field of Object.keys(value)) {
+    if (!PROJECT_FIELDS.includes(field)) {
+      ctx.issue([...path, field], `unknown project field "${field}"${suggest(field, PROJECT_FIELDS)}`);
+    }
+  }
+}
+
+function validateConditions(entry, ctx, path) {
+  for (const key of ['when', 'unless']) {
+    const condition = entry[key];
+    if (condition === undefined) continue;
+
+    const conditionPath = [...path, key];
+    if (!isMapping(condition)) {
+      ctx.issue(conditionPath, `"${key}" must be a mapping of ${CONDITION_KEYS.join(', ')}`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(condition)) {
+      const valuePath = [...conditionPath, name];
+      if (!CONDITION_KEYS.includes(name)) {
+        ctx.issue(valuePath, `unknown condition "${name}"${suggest(name, CONDITION_KEYS)}`);
+      } else if (name === 'project') {
+        validateProjectCondition(value, ctx, valuePath);
+      } else if (name === 'task') {
+        if (typeof value !== 'string') ctx.issue(valuePath, 'must be a keyword rule');
+        else validateKeywordKey(value, ctx, valuePath);
+      } else if (!(typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string')))) {
+        ctx.issue(valuePath, 'must be a glob or list of globs');
+      }
+    }
+  }
+}
+
+function validateChainTrigger(value, ctx, path) {
+  if (typeof value !== 'string' || !value.trim()) {
+    ctx.issue(path, 'must be a keyword rule such as "release|ship it"');
+    return;
+  }
+  validateKeywordKey(value, ctx, path);
+}
+
+function validateTriggeredChain(chain, ctx, path) {
+  if (!ctx.chains.has(chain)) {
+    ctx.issue(path, `no chain named "${chain}"${suggest(chain, ctx.chains)}`);
+  }
+}
+
+function validateRuleSection(section, value, ctx, base) {
+  const schema = RULE_SECTIONS[section];
+
+  if (!isMapping(value)) {
+    ctx.issue([section], `must be a mapping with ${OPERATIONS.map(op => `"${op}"`).join(', ')}`);
+    return;
+  }
+
+  for (const [op, entries] of Object.entries(value)) {
+    const path = [section, op];
+    if (!OPERATIONS.includes(op)) {
+      ctx.issue(path, `unknown operation "${op}"${suggest(op, OPERATIONS)}`);
+      continue;
+    }
+
+    if (op === 'disable') {
+      if (!Array.isArray(entries)) {
+        ctx.issue(path, `must be a list of ${schema.describe}s to disable`);
+        continue;
+      }
+      entries.forEach((key, i) => {
+        if (!(key in base[section])) {
+          ctx.issue([...path, i], `no built-in ${schema.describe} "${key}" to disable${suggest(key, Object.keys(base[section]))}`);
+        }
+      });
+      continue;
+    }
+
+    if (!isMapping(entries)) {
+      ctx.issue(path, `must map each ${schema.describe} to its value`);
+      continue;
+    }
+
+    for (const [key, ruleValue] of Object.entries(entries)) {
+      const rulePath = [...path, key];
+      if (op === 'replace' && !(key in base[section])) {
+        ctx.issue(rulePath, `no built-in ${schema.describe} "${key}" to replace; use "add"`);
+      }
+      if (op === 'add' && schema.exclusiveAdd && key in base[section]) {
+        ctx.issue(rulePath, `${schema.describe} "${key}" already exists; use "replace"`);
+      }
+      schema.validateKey?.(key, ctx, rulePath);
+      schema.validateValue(ruleValue, ctx, rulePath);
+    }
+  }
+}
+
+/**
+ * Validate a parsed routing config, returning a list of issues with line numbers
+ */
+export function validateRoutingConfig(config, { source = '', agents = [], baseRules }) {
+  const lines = source.split('\n');
+  const issues = [];
+  const ctx = {
+    agents: new Set([...agents, 'general-purpose']),
+    chains: new Set([
+      ...Object.keys(baseRules.agentChains || {}),
+      ...(isMapping(config?.agentChains?.add) ? Object.keys(config.agentChains.add) : [])
+    ]),
+    issue(path, message) {
+      issues.push({ line: findLine(lines, path), path: formatPath(path), message });
+    }
+  };
+
+  if (config === null || config === undefined) return issues;
+  if (!isMapping(config)) {
+    ctx.issue([], 'routing config must be a mapping');
+    return issues;
+  }
+
+  for (const [section, value] of Object.entries(config)) {
+    if (section === 'version') {
+      if (value !== 1) ctx.issue([section], 'only version 1 is supported');
+    } else if (RULE_SECTIONS[section]) {
+      validateRuleSection(section, value, ctx, baseRules);
+    } else if (SETTINGS_SECTIONS[section]) {
+      SETTINGS_SECTIONS[section].validate(value, ctx);
+    } else {
+      const known = ['version', ...Object.keys(RULE_SECTIONS), ...Object.keys(SETTINGS_SECTIONS)];
+      ctx.issue([section], `unknown section "${section}"${suggest(section, known)}`);
+    }
+  }
+
+  return issues;
+}
+
+const LOCALE_KEYS = ['name', 'common', 'letters', 'suffixes', 'compounds', 'negation', 'keywords', 'chainTriggers'];
+
+/**
+ * Validate a parsed locale table (locales/<code>.yml), returning a list of issues with line numbers
+ */
+export function validateLocale(locale, { source = '', agents = [], chains = [] }) {
+  const lines = source.split('\n');
+  const issues = [];
+  const ctx = {
+    agents: new Set([...agents, 'general-purpose']),
+    issue(path, message) {
+      issues.push({ line: findLine(lines, path), path: formatPath(path), message });
+    }
+  };
+  const wordList = (value, path) => {
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim())) {
+      ctx.issue(path, 'must be a list of words');
+    }
+  };
+
+  if (!isMapping(locale)) {
+    ctx.issue([], 'locale must be a mapping');
+    return issues;
+  }
+
+  for (const [key, value] of Object.entries(locale)) {
+    if (key === 'name' || key === 'letters') {
+      if (typeof value !== 'string') ctx.issue([key], `"${key}" must be a string`);
+    } else if (key === 'common' || key === 'suffixes') {
+      wordList(value, [key]);
+    } else if (key === 'compounds') {
+      if (typeof value !== 'boolean') ctx.issue([key], '"compounds" must be true or false');
+    } else if (key === 'negation') {
+      if (!isMapping(value)) {
+        ctx.issue([key], 'must be a mapping with "cues", "breaks" and "scope"');
+        continue;
+      }
+      for (const [option, setting] of Object.entries(value)) {
+        if (option === 'cues' || option === 'breaks') {
+          wordList(setting, [key, option]);
+        } else if (option === 'scope') {
+          if (!Number.isInteger(setting) || setting < 1) ctx.issue([key, option], '"scope" must be a positive integer');
+        } else {
+          ctx.issue([key, option], `unknown negation option "${option}"${suggest(option, ['cues', 'breaks', 'scope'])}`);
+        }
+      }
+    } else if (key === 'keywords') {
+      if (!isMapping(value)) {
+        ctx.issue([key], 'must map keyword rules to agent lists');
+        continue;
+      }
+      for (const [rule, agentList] of Object.entries(value)) {
+        validateKeywordKey(rule, ctx, [key, rule]);
+        validateAgentList(agentList, ctx, [key, rule]);
+      }
+    } else if (key === 'chainTriggers') {
+      if (!isMapping(value)) {
+        ctx.issue([key], 'must map chain names to keyword rules');
+        continue;
+      }
+      for (const [chain, rule] of Object.entries(value)) {
+        if (!chains.includes(chain)) ctx.issue([key, chain], `unknown chain "${chain}"${suggest(chain, chains)}`);
+        if (typeof rule !== 'string') ctx.issue([key, chain], 'must be a keyword rule');
+        else validateKeywordKey(rule, ctx, [key, chain]);
+      }
+    } else {
+      ctx.issue([key], `unknown locale key "${key}"${suggest(key, LOCALE_KEYS)}`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Read and validate .vibecode/routing.yml, or return null when the project has none
+ */
+export function loadRoutingConfig(projectRoot, { agents, baseRules }) {
+  const file = join(projectRoot, ROUTING_CONFIG_PATH);
+  if (!existsSync(file)) return null;
+
+  const source = readFileSync(file, 'utf8');
+  let config;
+  try {
+    config = yaml.load(source);
+  } catch (error) {
+    throw new RoutingConfigError(ROUTING_CONFIG_PATH, [{
+      line: error.mark ? error.mark.line + 1 : null,
+      message: `malformed YAML: ${error.reason || error.message}`
+    }]);
+  }
+
+  const issues = validateRoutingConfig(config, { source, agents, baseRules });
+  if (issues.length > 0) {
+    throw new RoutingConfigError(ROUTING_CONFIG_PATH, issues);
+  }
+
+  return config ?? {};
+}
+
+/**
+ * Merge a validated routing config on top of the base rules
+ */
+export function applyRoutingConfig(rules, config) {
+  if (!config) return rules;
+
+  const merged = { ...rules };
+
+  for (const section of Object.keys(RULE_SECTIONS)) {
+    const overrides = config[section];
+    if (!overrides) continue;
+
+    const table = { ...rules[section] };
+    const normalize = RULE_SECTIONS[section].normalize || (value => value);
+    const merge = RULE_SECTIONS[section].merge || mergeAgentLists;
+
+    for (const key of overrides.disable || []) {
+      delete table[key];
+    }
+    for (const [key, value] of Object.entries(overrides.replace || {})) {
+      table[key] = normalize(value);
+    }
+    for (const [key, value] of Object.entries(overrides.add || {})) {
+      table[key] = key in table ? merge(table[key], value) : normalize(value);
+    }
+
+    merged[section] = table;
+  }
+
+  for (const section of Object.keys(SETTINGS_SECTIONS)) {
+    if (config[section]) {
+      merged[section] = mergeSettings(rules[section], config[section]);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Deep-merge plain settings objects; arrays and scalars are replaced
+ */
+export function mergeSettings(base = {}, override = {}) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isMapping(value) && isMapping(base[key]) ? mergeSettings(base[key], value) : value;
+  }
+  return result;
+}
+
+/**
+ * Find the 1-based source line of a key path such as ['filePatterns', 'add', 'src/**', 0]
+ */
+function findLine(lines, path) {
+  let line = null;
+  let from = 0;
+  let parentIndent = -1;
+
+  for (const key of path) {
+    let found = null;
+    let itemIndent = null;
+    let index = 0;
+
+    for (let i = from; i < lines.length; i++) {
+      const raw = lines[i];
+      const trimmed = raw.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+
+      const indent = raw.length - raw.trimStart().length;
+      // Keys inside a "- key: value" item sit at the column after the dash
+      const content = trimmed.startsWith('- ') ? trimmed.slice(2).trimStart() : trimmed;
+      const contentIndent = raw.length - content.length;
+
+      if (i > from && indent <= parentIndent) break;
+
+      if (typeof key === 'number') {
+        if (!trimmed.startsWith('-') || (itemIndent !== null && indent !== itemIndent)) continue;
+        itemIndent = indent;
+        if (index++ === key) {
+          found = { i, indent };
+          break;
+        }
+      } else if ([key, `'${key}'`, `"${key}"`].some(k => content.startsWith(`${k}:`)) && contentIndent > parentIndent) {
+        found = { i, indent: contentIndent };
+        break;
+      }
+    }
+
+    // Flow collections ([a, b]) and unmatched keys resolve to the closest parent line
+    if (!found) break;
+    line = found.i + 1;
+    from = found.i;
+    parentIndent = found.indent;
+  }
+
+  return line;
+}
+
+function formatPath(path) {
+  return path.map((key, i) => (typeof key === 'number' ? `[${key}]` : i === 0 ? key : `.${key}`)).join('');
+}
+
+function isMapping(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Suggest the closest known name for a likely typo
+ */
+function suggest(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(String(value), candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best && bestDistance <= Math.max(2, Math.floor(String(value).length / 4)) ? ` (did you mean "${best}"?)` : '';
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+export default loadRoutingConfig;
@@ -0,0 +1,109 @@
+/**
+ * Dependency-graph scheduler for agent execution plans
+ * Orders agents into topological levels that can run in parallel
+ */
+
+const DEFAULT_PRIORITY = 99;
+
+export class DependencyCycleError extends Error {
+  constructor(cycle) {
+    super(`Agent dependency cycle: ${cycle.join(' → ')}`);
+    this.name = 'DependencyCycleError';
+    this.cycle = cycle;
+  }
+}
+
+function dependenciesOf(agent, capabilities) {
+  return capabilities[agent]?.dependencies || [];
+}
+
+function priorityOf(agent, capabilities) {
+  return capabilities[agent]?.priority || DEFAULT_PRIORITY;
+}
+
+/**
+ * Collect every direct and indirect dependency of each agent,
+ * throwing DependencyCycleError when the graph loops back on itself
+ */
+export function transitiveDependencies(agents, capabilities) {
+  const closure = new Map();
+  const visiting = [];
+
+  const visit = agent => {
+    if (closure.has(agent)) return closure.get(agent);
+
+    const cycleStart = visiting.indexOf(agent);
+    if (cycleStart !== -1) {
+      throw new DependencyCycleError([...visiting.slice(cycleStart), agent]);
+    }
+
+    visiting.push(agent);
+    const deps = new Set();
+    for (const dep of dependenciesOf(agent, capabilities)) {
+      deps.add(dep);
+      visit(dep).forEach(d => deps.add(d));
+    }
+    visiting.pop();
+
+    closure.set(agent, deps);
+    return deps;
+  };
+
+  agents.forEach(visit);
+  return closure;
+}
+
+/**
+ * Schedule agents into dependency levels
+ *
+ * Each level only depends on earlier levels, so its agents can run in parallel.
+ * With includeDependencies, missing dependencies are added and reported as implicit.
+ */
+export function scheduleAgents(agents, capabilities, options = {}) {
+  const { includeDependencies = false } = options;
+  const requested = [...new Set(agents)];
+  const closure = transitiveDependencies(requested, capabilities);
+
+  const selected = new Set(requested);
+  const implicit = [];
+  if (includeDependencies) {
+    for (const agent of requested) {
+      for (const dep of closure.get(agent)) {
+        if (!selected.has(dep)) {
+          selected.add(dep);
+          implicit.push(dep);
+        }
+      }
+    }
+  }
+
+  // An agent waits for every selected agent it depends on, directly or through others
+  const levelOf = new Map();
+  const resolveLevel = agent => {
+    if (levelOf.has(agent)) return levelOf.get(agent);
+    let level = 0;
+    for (const dep of closure.get(agent) || []) {
+      if (selected.has(dep)) level = Math.max(level, resolveLevel(dep) + 1);
+    }
+    levelOf.set(agent, level);
+    return level;
+  };
+
+  const order = [...selected];
+  const levels = [];
+  for (const agent of order) {
+    const level = resolveLevel(agent);
+    (levels[level] ||= []).push(agent);
+  }
+
+  // Within a level, lower priority numbers go first; ties keep the input order
+  const sorted = levels
+    .filter(Boolean)
+    .map(level => level.sort((a, b) =>
+      priorityOf(a, capabilities) - priorityOf(b, capabilities) || order.indexOf(a) - order.indexOf(b)
+    ));
+
+  return { levels: sorted, implicit };
+}
+
+export default scheduleAgents;
@@ -0,0 +1,92 @@
+import { readFileSync, writeFileSync, mkdirSync, existsSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { hashTask } from './decision-log.js';
+
+/**
+ * Sticky routing sessions
+ * Remembers the agents and files of recent routing turns in .vibecode/session.json
+ * so follow-up tasks ("now add tests for that") inherit them with a decaying weight
+ */
+
+export const SESSION_PATH = join('.vibecode', 'session.json');
+
+export class SessionError extends Error {
+  constructor(message, file = null) {
+    super(file ? `Invalid session ${file}: ${message}` : message);
+    this.name = 'SessionError';
+    this.file = file;
+  }
+}
+
+/**
+ * Read the session, or an empty one when none was saved yet
+ */
+export function loadSession(path) {
+  if (!existsSync(path)) return { version: 1, turns: [] };
+
+  let session;
+  try {
+    session = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new SessionError(`malformed JSON (${error.message})`, path);
+  }
+  if (!session || session.version !== 1 || !Array.isArray(session.turns)) {
+    throw new SessionError('expected { "version": 1, "turns": [...] }', path);
+  }
+  return session;
+}
+
+export function saveSession(path, session) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(session, null, 2) + '\n');
+}
+
+export function resetSession(path) {
+  if (!existsSync(path)) return false;
+  rmSync(path);
+  return true;
+}
+
+/**
+ * Turns still in play, newest first: at most maxTurns, none older than
+ * expireAfter minutes (null keeps them regardless of age)
+ */
+export function recentTurns(session, { maxTurns, expireAfter, now = Date.now() }) {
+  return [...session.turns]
+    .reverse()
+    .filter(turn => expireAfter === null || now - Date.parse(turn.time) <= expireAfter * 60 * 1000)
+    .slice(0, maxTurns);
+}
+
+/**
+ * Weight each remembered agent by the most recent turn it was active in:
+ * decay ** turnsAgo. Returns { agents: { agent: { weight, turn } }, files }.
+ */
+export function sessionContext(turns, { decay }) {
+  const agents = {};
+  const files = [];
+
+  turns.forEach((turn, turnsAgo) => {
+    for (const agent of turn.agents) {
+      if (!agents[agent]) agents[agent] = { weight: decay ** turnsAgo, turn: turnsAgo + 1 };
+    }
+    for (const file of turn.files) {
+      if (!files.includes(file)) files.push(file);
+    }
+  });
+
+  return { agents, files };
+}
+
+/**
+ * Add a routing turn to the session, keeping the last maxTurns
+ */
+export function recordTurn(session, taskDescription, { agents, files }, { maxTurns }) {
+  const turn = {
+    time: new Date().toISOString(),
+    task: hashTask(taskDescription),
+    agents: agents.filter(agent => agent !== 'general-purpose'),
+    files
+  };
+  return { ...session, turns: [...session.turns, turn].slice(-maxTurns) };
+}
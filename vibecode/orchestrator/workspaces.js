@@ -0,0 +1,142 @@
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import yaml from 'js-yaml';
+import { mergeDetections, primaryValues } from './detections.js';
+
+/**
+ * Monorepo workspace detection
+ * Finds the packages of npm/yarn/pnpm workspaces, Turborepo, Nx and Lerna
+ * repositories and rolls per-package project info up into one
+ */
+
+// Used when a tool is present but no package globs are declared
+const DEFAULT_PATTERNS = ['apps/*', 'packages/*', 'libs/*'];
+
+// Files that make a directory matched by a workspace glob a package
+const PACKAGE_MANIFESTS = ['package.json', 'project.json', 'pubspec.yaml', 'pyproject.toml', 'go.mod', 'Cargo.toml', 'Gemfile', 'composer.json'];
+
+/**
+ * Read a config file of the project, or null when it is missing; a file that
+ * does not parse is reported to problems as { file, message } and read as missing
+ */
+function readConfig(projectRoot, file, problems) {
+  const path = join(projectRoot, file);
+  if (!existsSync(path)) return null;
+  try {
+    const source = readFileSync(path, 'utf8');
+    return file.endsWith('.json') ? JSON.parse(source) : yaml.load(source);
+  } catch (error) {
+    problems.push({ file, message: `${file.endsWith('.json') ? 'malformed JSON' : 'malformed YAML'} (${error.reason || error.message})` });
+    return null;
+  }
+}
+
+/**
+ * Workspace tools and package globs declared at the project root, or null
+ */
+export function readWorkspaceConfig(projectRoot, problems = []) {
+  const tools = [];
+  const patterns = [];
+
+  const pkg = readConfig(projectRoot, 'package.json', problems);
+  const declared = Array.isArray(pkg?.workspaces) ? pkg.workspaces : pkg?.workspaces?.packages;
+  if (Array.isArray(declared) && declared.length > 0) {
+    tools.push(existsSync(join(projectRoot, 'yarn.lock')) ? 'yarn' : 'npm');
+    patterns.push(...declared);
+  }
+
+  const pnpm = readConfig(projectRoot, 'pnpm-workspace.yaml', problems);
+  if (pnpm) {
+    tools.push('pnpm');
+    patterns.push(...(pnpm.packages || []));
+  }
+
+  const lerna = readConfig(projectRoot, 'lerna.json', problems);
+  if (lerna) {
+    tools.push('lerna');
+    patterns.push(...(lerna.packages || ['packages/*']));
+  }
+
+  if (existsSync(join(projectRoot, 'turbo.json'))) {
+    tools.push('turbo');
+  }
+
+  const nx = readConfig(projectRoot, 'nx.json', problems);
+  if (nx) {
+    tools.push('nx');
+    const { appsDir, libsDir } = nx.workspaceLayout || {};
+    if (appsDir) patterns.push(`${appsDir}/*`);
+    if (libsDir) patterns.push(`${libsDir}/*`);
+  }
+
+  if (tools.length === 0) return null;
+  return { tools, patterns: [...new Set(patterns.length > 0 ? patterns : DEFAULT_PATTERNS)] };
+}
+
+/**
+ * Name of the package in a directory: from its manifest, or the directory name
+ */
+function packageName(projectRoot, dir, problems) {
+  return readConfig(projectRoot, `${dir}/package.json`, problems)?.name ||
+    readConfig(projectRoot, `${dir}/project.json`, problems)?.name ||
+    readConfig(projectRoot, `${dir}/pubspec.yaml`, problems)?.name ||
+    basename(dir);
+}
+
+/**
+ * Expand workspace globs ("apps/*", "!apps/legacy") to the package directories
+ * they match in a project's FileIndex
+ */
+export async function findWorkspacePackages(projectRoot, patterns, index, problems = []) {
+  const trim = pattern => pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  const include = patterns.filter(p => !p.startsWith('!')).map(trim);
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => trim(p.slice(1)));
+  if (include.length === 0) return [];
+
+  const manifests = index.findAll(
+    include.map(pattern => `${pattern}/{${PACKAGE_MANIFESTS.join(',')}}`),
+    { ignore: exclude.flatMap(p => [p, `${p}/**`]) }
+  );
+
+  const dirs = [...new Set(manifests.map(file => dirname(file)))]
+    .filter(dir => dir !== '.')
+    .sort();
+  return dirs.map(path => ({ name: packageName(projectRoot, path, problems), path }));
+}
+
+/**
+ * Detect the workspace of a project: { tools, patterns, packages: [{ name, path }] }, or null
+ */
+export async function detectWorkspaces(projectRoot, index, problems = []) {
+  const config = readWorkspaceConfig(projectRoot, problems);
+  if (!config) return null;
+  return { ...config, packages: await findWorkspacePackages(projectRoot, config.patterns, index, problems) };
+}
+
+/**
+ * Roll package project info up into the root's: the detections of every
+ * package are merged with the root's, and the primary values derived again
+ */
+export function rollUpProjectInfo(root, packages) {
+  const detections = mergeDetections([
+    { path: '', detections: root.detections },
+    ...packages.map(pkg => ({ path: pkg.path, detections: pkg.projectInfo.detections }))
+  ]);
+  return { ...root, type: 'monorepo', ...primaryValues(detections), detections };
+}
+
+/**
+ * The workspace package a file belongs to (the deepest one containing it), or null
+ */
+export function findPackage(workspace, file) {
+  if (!workspace) return null;
+  const path = file.replace(/\\/g, '/').replace(/^\.\//, '');
+
+  let best = null;
+  for (const pkg of workspace.packages) {
+    if ((path === pkg.path || path.startsWith(`${pkg.path}/`)) && (!best || pkg.path.length > best.path.length)) {
+      best = pkg;
+    }
+  }
+  return best;
+}
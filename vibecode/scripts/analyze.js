@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'util';
+import { existsSync, realpathSync, statSync, watch as watchDirectory } from 'fs';
+import { resolve, join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { spawnSync } from 'child_process';
+import chalk from 'chalk';
+import { AgentRouter } from '../orchestrator/router.js';
+import { AgentMetadataError } from '../orchestrator/agent-metadata.js';
+import { RoutingConfigError, ROUTING_CONFIG_PATH } from '../orchestrator/routing-config.js';
+import { DETECTION_FIELDS, describeEvidence } from '../orchestrator/detections.js';
+import { FileIndex } from '../orchestrator/file-index.js';
+import { fingerprintProject } from '../orchestrator/analysis-cache.js';
+
+/**
+ * Command-line front end for ProjectAnalyzer
+ * Prints the detected stack, workspace packages and recommended agents;
+ * exits with 1 when a manifest or config file could not be read
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const USAGE = `Usage: vibecode:analyze [options]
+
+Options:
+      --root <dir>      Project to analyze (default: current directory)
+      --json            Print the analysis as JSON
+      --markdown        Print a Markdown summary
+      --refresh         Analyze again even when the cached analysis is current
+  -w, --watch           Analyze again whenever a manifest, lockfile or config changes
+      --regenerate      With --watch, also rewrite the Cursor and Claude files
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+  root: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  markdown: { type: 'boolean', default: false },
+  refresh: { type: 'boolean', default: false },
+  watch: { type: 'boolean', short: 'w', default: false },
+  regenerate: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Quiet time after the last file event before --watch looks at the project again
+const WATCH_DEBOUNCE = 300;
+
+// Without a native recursive watch (Linux) each folder takes an inotify watch;
+// past the system limit, fall back to polling
+const RECURSIVE_WATCH = ['darwin', 'win32'].includes(process.platform);
+const WATCH_LIMIT_ERRORS = ['EMFILE', 'ENOSPC'];
+const WATCH_POLL_INTERVAL = 2000;
+
+// Generated outputs --regenerate rewrites, each only when it exists already
+const OUTPUTS = [
+  { name: 'Cursor', file: '.cursorrules', script: 'setup.js', args: ['--regenerate'] },
+  { name: 'Claude', file: 'CLAUDE.md', script: 'install-global.js', args: ['--claude-md'] }
+];
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: false });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values } = parsed;
+  if (values.help) return { help: true };
+  if (values.json && values.markdown) throw new UsageError('Use either --json or --markdown, not both');
+  if (values.regenerate && !values.watch) throw new UsageError('--regenerate only works with --watch');
+
+  const root = resolve(values.root || process.cwd());
+  if (!existsSync(root) || !statSync(root).isDirectory()) {
+    throw new UsageError(`--root ${values.root} is not a directory`);
+  }
+
+  return {
+    root,
+    format: values.json ? 'json' : values.markdown ? 'markdown' : 'human',
+    refresh: values.refresh,
+    watch: values.watch,
+    regenerate: values.regenerate
+  };
+}
+
+const percent = confidence => `${Math.round(confidence * 100)}%`;
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// [{ field, value, confidence, evidence }] for every detection, by field
+function detectionRows(projectInfo) {
+  return DETECTION_FIELDS.flatMap(field =>
+    (projectInfo.detections?.[field] || []).map(detection => ({ field, ...detection }))
+  );
+}
+
+function describeScan(stats, cached) {
+  const scan = `${stats.files} files, ${stats.dirs} directories in ${stats.elapsed} ms (${stats.ignored} ignored)`;
+  return cached ? `${scan}, reused from the cache` : scan;
+}
+
+function describeTruncation(stats) {
+  return stats.truncated === 'time'
+    ? 'Scan stopped at the time budget; raise analysis.timeBudget in .vibecode/routing.yml'
+    : 'Scan stopped at the depth limit; raise analysis.maxDepth in .vibecode/routing.yml';
+}
+
+function formatHuman(report) {
+  const { projectInfo, recommendations, packages, scan, problems } = report;
+  const lines = [];
+
+  lines.push(chalk.blue.bold('\n🔍 Project analysis\n'));
+  lines.push(`${chalk.gray('Root:')}      ${report.root}`);
+  lines.push(`${chalk.gray('Type:')}      ${projectInfo.type}`);
+  if (projectInfo.workspace) {
+    lines.push(`${chalk.gray('Workspace:')} ${projectInfo.workspace.tools.join(', ')} (${plural(packages.length, 'package')})`);
+  }
+  lines.push(`${chalk.gray('Scanned:')}   ${describeScan(scan, report.cached)}`);
+  if (scan.truncated) lines.push(chalk.yellow(`⚠️  ${describeTruncation(scan)}`));
+
+  lines.push(chalk.yellow('\nDetected stack:'));
+  const rows = detectionRows(projectInfo);
+  if (rows.length === 0) lines.push(chalk.gray('  (nothing detected)'));
+  const width = Math.max(0, ...rows.map(row => `${row.field}: ${row.value}`.length));
+  for (const { field, value, confidence, evidence } of rows) {
+    const label = `${field}: ${value}`.padEnd(width);
+    lines.push(`  ${label}  ${percent(confidence).padStart(4)}  ${chalk.gray(evidence.map(describeEvidence).join(', '))}`);
+  }
+
+  if (packages.length > 0) {
+    lines.push(chalk.yellow('\nPackages:'));
+    for (const pkg of packages) {
+      const agents = pkg.agents.length > 0 ? pkg.agents.join(', ') : chalk.gray('(baseline only)');
+      lines.push(`  ${chalk.cyan(pkg.name)} ${chalk.gray(`${pkg.path}, ${pkg.type}`)} → ${agents}`);
+    }
+  }
+
+  lines.push(chalk.yellow('\nRecommended agents:'));
+  for (const { agent, reason } of recommendations) {
+    lines.push(`  ${chalk.cyan(agent)} ${chalk.gray(`(${reason})`)}`);
+  }
+
+  if (problems.length > 0) {
+    lines.push(chalk.red('\nCould not read:'));
+    for (const { file, message } of problems) {
+      lines.push(`  ${chalk.red('✗')} ${file}: ${message}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function formatMarkdown(report) {
+  const { projectInfo, recommendations, packages, scan, problems } = report;
+  const lines = [];
+
+  lines.push('## 🔍 Vibecode project analysis', '');
+  lines.push(`**Type:** ${projectInfo.type}`, '');
+  if (projectInfo.workspace) {
+    lines.push(`**Workspace:** ${projectInfo.workspace.tools.join(', ')} (${plural(packages.length, 'package')})`, '');
+  }
+  lines.push(`**Scanned:** ${describeScan(scan, report.cached)}`, '');
+  if (scan.truncated) lines.push(`> ⚠️ ${describeTruncation(scan)}`, '');
+
+  const rows = detectionRows(projectInfo);
+  if (rows.length > 0) {
+    lines.push('| Field | Value | Confidence | Evidence |', '| --- | --- | --- | --- |');
+    for (const { field, value, confidence, evidence } of rows) {
+      lines.push(`| ${field} | ${value} | ${percent(confidence)} | ${evidence.map(e => `\`${describeEvidence(e)}\``).join(', ')} |`);
+    }
+    lines.push('');
+  }
+
+  if (packages.length > 0) {
+    lines.push('| Package | Path | Type | Agents |', '| --- | --- | --- | --- |');
+    for (const pkg of packages) {
+      lines.push(`| ${pkg.name} | \`${pkg.path}\` | ${pkg.type} | ${pkg.agents.map(agent => `\`${agent}\``).join(', ')} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push('**Recommended agents:**', '');
+  for (const { agent, reason } of recommendations) {
+    lines.push(`- \`${agent}\` (${reason})`);
+  }
+
+  if (problems.length > 0) {
+    lines.push('', '**Could not read:**', '');
+    for (const { file, message } of problems) {
+      lines.push(`- \`${file}\`: ${message}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Analyze the project with the analysis settings of its routing.yml
+ */
+async function analyzeProject(root, { refresh }) {
+  const analyzer = new AgentRouter({ projectRoot: root }).createAnalyzer();
+  const projectInfo = await analyzer.analyze({ refresh });
+
+  return {
+    analyzer,
+    report: {
+      root,
+      projectInfo,
+      recommendedAgents: analyzer.getRecommendedAgents(),
+      recommendations: analyzer.getAgentRecommendations(),
+      packages: analyzer.getPackageRecommendations(),
+      scan: analyzer.stats,
+      cached: analyzer.cached,
+      problems: analyzer.problems
+    }
+  };
+}
+
+function printReport(report, format, { watch = false } = {}) {
+  if (format === 'json') {
+    // One analysis per line while watching, so each change can be parsed on its own
+    process.stdout.write((watch ? JSON.stringify(report) : JSON.stringify(report, null, 2)) + '\n');
+  } else if (format === 'markdown') {
+    process.stdout.write(formatMarkdown(report));
+  } else {
+    process.stdout.write(formatHuman(report));
+  }
+}
+
+/**
+ * Rewrite the generated Cursor and Claude files that exist in the project
+ */
+function regenerateOutputs(root, format) {
+  const outputs = OUTPUTS.filter(output => existsSync(join(root, output.file)));
+  if (outputs.length === 0) {
+    console.error(chalk.gray('Nothing to regenerate: run vibecode:setup or install the Claude agents first.'));
+  }
+  for (const { name, script, args } of outputs) {
+    // Keep stdout for the analysis when it is JSON
+    const stdout = format === 'json' ? process.stderr : 'inherit';
+    const { status } = spawnSync(process.execPath, [join(__dirname, script), ...args], { cwd: root, stdio: ['ignore', stdout, 'inherit'] });
+    if (status !== 0) console.error(chalk.red(`❌ Could not regenerate the ${name} files`));
+  }
+}
+
+/**
+ * Watch the project and analyze again when a change alters its fingerprint;
+ * runs until interrupted. macOS and Windows watch the whole tree with one
+ * recursive watcher; elsewhere there is one watcher per folder the file index
+ * lists (not node_modules or other ignored ones), and running out of watchers
+ * (EMFILE, ENOSPC) switches to checking the fingerprint every few seconds
+ */
+async function watch(options) {
+  const { root, format } = options;
+  let { analyzer, report } = await analyzeProject(root, options);
+  printReport(report, format, { watch: true });
+  let fingerprint = fingerprintProject(root, analyzer.index);
+
+  const watchers = new Map();
+  let timer = null;
+  let checking = null;
+  let pending = false;
+  let polling = null;
+
+  const closeWatchers = () => {
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+  };
+
+  const startPolling = error => {
+    if (polling) return;
+    closeWatchers();
+    console.error(chalk.yellow(`⚠️  Cannot watch more folders (${error.code}); checking for changes every ${WATCH_POLL_INTERVAL / 1000}s instead`));
+    polling = setInterval(schedule, WATCH_POLL_INTERVAL);
+  };
+
+  const addWatcher = (dir, watchOptions = {}) => {
+    let watcher;
+    try {
+      watcher = watchDirectory(join(root, dir), watchOptions, schedule);
+    } catch (error) {
+      if (!WATCH_LIMIT_ERRORS.includes(error.code)) throw error;
+      startPolling(error);
+      return;
+    }
+    watcher.on('error', error => {
+      watcher.close();
+      watchers.delete(dir);
+      if (WATCH_LIMIT_ERRORS.includes(error.code)) startPolling(error);
+    });
+    watchers.set(dir, watcher);
+  };
+
+  // One watcher per indexed folder, plus .vibecode/ for routing.yml
+  const syncWatchers = index => {
+    if (polling || RECURSIVE_WATCH) return;
+    const dirs = new Set(['', dirname(ROUTING_CONFIG_PATH), ...index.dirs]);
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (polling) return;
+      if (watchers.has(dir) || !existsSync(join(root, dir))) continue;
+      addWatcher(dir);
+    }
+  };
+
+  // Most events (a saved source file) leave the fingerprint alone: only the
+  // listing and the manifests and configs count
+  const check = async () => {
+    const index = new FileIndex(root, analyzer.options.scan).build();
+    syncWatchers(index);
+    const current = fingerprintProject(root, index);
+    if (current === fingerprint) return;
+    fingerprint = current;
+
+    console.error(chalk.yellow(`\n🔄 Project changed, analyzing again (${new Date().toLocaleTimeString()})`));
+    try {
+      ({ analyzer, report } = await analyzeProject(root, { refresh: true }));
+    } catch (error) {
+      // A half-edited routing.yml should not end the watch
+      if (!(error instanceof AgentMetadataError || error instanceof RoutingConfigError)) throw error;
+      console.error(chalk.red(`❌ ${error.message}`));
+      return;
+    }
+    printReport(report, format, { watch: true });
+    if (options.regenerate) regenerateOutputs(root, format);
+  };
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (checking) {
+        // Changes during a check lead to one more check once it is done, however many there were
+        pending = true;
+        return;
+      }
+      checking = check()
+        .catch(error => {
+          console.error(chalk.red(`❌ ${error.stack || error.message}`));
+          process.exit(1);
+        })
+        .finally(() => {
+          checking = null;
+          if (pending) {
+            pending = false;
+            schedule();
+          }
+        });
+    }, WATCH_DEBOUNCE);
+  }
+
+  if (RECURSIVE_WATCH) {
+    addWatcher('', { recursive: true });
+  } else {
+    syncWatchers(analyzer.index);
+  }
+  if (!polling) {
+    const what = RECURSIVE_WATCH ? 'the project' : plural(watchers.size, 'folder');
+    console.error(chalk.gray(`👀 Watching ${what} (Ctrl+C to stop)`));
+  }
+}
+
+async function run(argv) {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(chalk.red(`❌ ${error.message}\n`));
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (options.watch) {
+    await watch(options);
+    return;
+  }
+
+  const { report } = await analyzeProject(options.root, options);
+  printReport(report, options.format);
+  if (report.problems.length > 0) process.exitCode = 1;
+}
+
+/**
+ * Run the command with the given arguments, exiting 1 on errors. Also the
+ * entry point of orchestrator/analyzer.js for installs from before this script
+ */
+export function main(argv = process.argv.slice(2)) {
+  return run(argv).catch(error => {
+    if (error instanceof AgentMetadataError || error instanceof RoutingConfigError) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+    console.error(chalk.red(`❌ ${error.stack || error.message}`));
+    process.exit(1);
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  main();
+}
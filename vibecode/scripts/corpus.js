@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'util';
+import { join } from 'path';
+import chalk from 'chalk';
+import { AgentRouter } from '../orchestrator/router.js';
+import { AgentMetadataError } from '../orchestrator/agent-metadata.js';
+import { RoutingConfigError } from '../orchestrator/routing-config.js';
+import { LearningError } from '../orchestrator/learning.js';
+import {
+  BUNDLED_CORPUS_DIR, PROJECT_CORPUS_DIR, CorpusError, loadCorpus, runCorpus
+} from '../orchestrator/corpus.js';
+
+/**
+ * Routing regression check
+ * Runs the bundled golden corpus against the built-in rules and the
+ * project's .vibecode/corpus cases against the project's routing config
+ */
+
+const USAGE = `Usage: vibecode:corpus [options]
+
+Options:
+      --only <text>   Run only cases whose name contains <text>
+      --bundled       Run only the bundled cases
+      --project       Run only the project's .vibecode/corpus cases
+  -v, --verbose       List passing cases too
+      --json          Print the results as JSON
+  -h, --help          Show this help`;
+
+const OPTIONS = {
+  only: { type: 'string' },
+  bundled: { type: 'boolean', default: false },
+  project: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const formatPlan = plan => plan.map(phase => `[${phase.join(', ')}]`).join(' → ') || '(empty)';
+
+function formatResult(result) {
+  const lines = [`${chalk.red('✗')} ${result.name} ${chalk.gray(result.file)}`];
+
+  for (const agent of result.added) lines.push(chalk.green(`    + ${agent}`));
+  for (const agent of result.lost) lines.push(chalk.red(`    - ${agent}`));
+  if (result.failures.includes('chain')) {
+    lines.push(`    chain: expected ${result.expect.chain ?? 'none'}, got ${result.chain ?? 'none'}`);
+  }
+  if (result.failures.includes('plan')) {
+    lines.push(`    plan expected: ${formatPlan(result.expect.plan)}`);
+    lines.push(`    plan actual:   ${formatPlan(result.plan)}`);
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: process.argv.slice(2), options: OPTIONS }));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}\n`));
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const suites = [];
+  const projectRoot = process.cwd();
+  if (!values.project) {
+    suites.push({
+      label: 'bundled',
+      router: new AgentRouter({ projectConfig: false }),
+      cases: loadCorpus(BUNDLED_CORPUS_DIR, { label: 'corpus' })
+    });
+  }
+  if (!values.bundled) {
+    suites.push({
+      label: 'project',
+      router: new AgentRouter({ projectRoot }),
+      cases: loadCorpus(join(projectRoot, PROJECT_CORPUS_DIR), { label: PROJECT_CORPUS_DIR })
+    });
+  }
+
+  const reports = suites.map(({ label, router, cases }) => {
+    const selected = values.only ? cases.filter(c => c.name.includes(values.only)) : cases;
+    return { label, ...runCorpus(router, selected) };
+  });
+  const failed = reports.reduce((sum, report) => sum + report.failed, 0);
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(reports, null, 2) + '\n');
+  } else {
+    for (const report of reports) {
+      if (report.total === 0) continue;
+      console.log(chalk.blue.bold(`\n🧪 Routing corpus (${report.label})`));
+      for (const result of report.results) {
+        if (!result.passed) {
+          console.log(formatResult(result));
+        } else if (values.verbose) {
+          console.log(`${chalk.green('✓')} ${result.name}`);
+        }
+      }
+      const summary = `${report.total - report.failed}/${report.total} passed`;
+      console.log(report.failed > 0 ? chalk.red(summary) : chalk.green(summary));
+    }
+  }
+
+  if (failed > 0) process.exit(1);
+}
+
+try {
+  main();
+} catch (error) {
+  if (error instanceof CorpusError || error instanceof AgentMetadataError ||
+      error instanceof RoutingConfigError || error instanceof LearningError) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  console.error(chalk.red(`❌ ${error.stack || error.message}`));
+  process.exit(1);
+}
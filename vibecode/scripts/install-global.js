@@ -4,7 +4,9 @@ import { promises as fs } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { homedir } from 'os';
+import { parseArgs } from 'util';
 import chalk from 'chalk';
+import { AgentRouter } from '../orchestrator/router.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -44,12 +46,13 @@ async function installGlobalAgents() {
       // Read the original content
       const content = await fs.readFile(sourcePath, 'utf8');
 
-      // Add Vibecode header to identify our agents
-      const enhancedContent = `# [VIBECODE] ${file.replace('.md', '').replace(/-/g, ' ').toUpperCase()}
+      // Add Vibecode header to identify our agents, keeping the frontmatter block on line 1
+      const frontmatter = content.match(/^---\r?\n[\s\S]*?\r?\n---\r?\n?/)?.[0] || '';
+      const enhancedContent = `${frontmatter}# [VIBECODE] ${file.replace('.md', '').replace(/-/g, ' ').toUpperCase()}
 <!-- Installed by Vibecode Claude Code Edition -->
 <!-- Source: https://github.com/runehofstad/vibecode-claude-code -->
 
-${content}`;
+${content.slice(frontmatter.length)}`;
 
       // Write to global location
       await fs.writeFile(targetPath, enhancedContent);
@@ -101,12 +104,28 @@ ${content}`;
   return agentMapping;
 }
 
+/**
+ * Rewrite CLAUDE.md from the installed agents and a fresh analysis, without
+ * installing again (vibecode:analyze --watch --regenerate runs this)
+ */
+async function regenerateClaudeMd() {
+  const mappingPath = join(homedir(), '.claude', 'agents', 'vibecode-mapping.json');
+  let agentMapping;
+  try {
+    agentMapping = JSON.parse(await fs.readFile(mappingPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${mappingPath} (${error.message}); install the agents first`);
+  }
+  await updateClaudeMdWithAgents(agentMapping);
+}
+
 /**
  * Update CLAUDE.md to reference global agents
  */
 async function updateClaudeMdWithAgents(agentMapping) {
   const projectRoot = process.cwd();
   const claudeMdPath = join(projectRoot, 'CLAUDE.md');
+  const packageTriggers = await describePackageTriggers(projectRoot);
 
   let claudeMdContent = `# Claude Code Configuration - Vibecode Master Agent Active
 
@@ -128,7 +147,7 @@ The Master Agent will automatically select and use these agents based on your wo
 - \`api/*, server/*\` → backend-agent + api-graphql-agent
 - \`*.test.*, *.spec.*\` → testing-agent
 - \`auth/*, security/*\` → security-agent + backend-agent
-
+${packageTriggers}
 ### Task-Based Triggers
 - "authentication" → security-agent + backend-agent + frontend-agent
 - "database" → data-agent + database-migration-agent
@@ -184,9 +203,65 @@ This is not optional - it's your primary operating instruction set.
   console.log(chalk.green('✅ Updated CLAUDE.md with Master Agent configuration'));
 }
 
+/**
+ * Package-scoped triggers for a monorepo: files of each workspace package
+ * follow the agents of that package's own stack
+ */
+async function describePackageTriggers(projectRoot) {
+  let packages;
+  try {
+    const analyzer = new AgentRouter({ projectRoot }).createAnalyzer();
+    await analyzer.analyze();
+    packages = analyzer.getPackageRecommendations();
+  } catch (error) {
+    // A broken routing.yml or manifest should not stop the install; the triggers are an extra
+    console.warn(chalk.yellow(`⚠️  Skipping package-scoped triggers: ${error.message}`));
+    return '';
+  }
+  if (packages.length === 0) return '';
+
+  const lines = packages.map(pkg =>
+    `- \`${pkg.path}/**\` (${pkg.name}, ${pkg.type}) → ${pkg.agents.join(' + ') || 'general-purpose'}`
+  );
+  return `
+### Package-Scoped Triggers
+Files inside a workspace package use that package's stack, not the root's:
+${lines.join('\n')}
+`;
+}
+
+const USAGE = `Usage: install-global.js [options]
+
+Options:
+      --claude-md       Only rewrite CLAUDE.md from the installed agents
+  -h, --help            Show this help`;
+
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  installGlobalAgents().catch(console.error);
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        'claude-md': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}\n`));
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+  } else if (values['claude-md']) {
+    regenerateClaudeMd().catch(error => {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    });
+  } else {
+    installGlobalAgents().catch(console.error);
+  }
 }
 
-export { installGlobalAgents };
\ No newline at end of file
+export { installGlobalAgents, regenerateClaudeMd };
\ No newline at end of file
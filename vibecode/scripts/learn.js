@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'util';
+import { join } from 'path';
+import { existsSync, rmSync } from 'fs';
+import chalk from 'chalk';
+import { AgentRouter } from '../orchestrator/router.js';
+import { AgentMetadataError } from '../orchestrator/agent-metadata.js';
+import { RoutingConfigError } from '../orchestrator/routing-config.js';
+import { LearningError, loadLearning, saveLearning } from '../orchestrator/learning.js';
+
+/**
+ * Routing corrections
+ * Records which agents a routed task should have added or removed, and
+ * reviews or resets what the router has learned from them
+ */
+
+const USAGE = `Usage:
+  vibecode:learn record <task description> [--add <agents>] [--remove <agents>] [--files <list>]
+  vibecode:learn list [--json]
+  vibecode:learn reset [--last]
+
+Commands:
+  record   Record a correction for a task; agents are comma-separated
+  list     Show learned keyword associations and rule weight factors
+  reset    Forget every correction (or only the most recent with --last)`;
+
+const OPTIONS = {
+  add: { type: 'string', short: 'a', multiple: true },
+  remove: { type: 'string', short: 'r', multiple: true },
+  files: { type: 'string', short: 'f', multiple: true },
+  last: { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+const splitList = values => (values || []).flatMap(list => list.split(',')).map(v => v.trim()).filter(Boolean);
+
+function record(router, task, values) {
+  if (!task) throw new UsageError('Missing task description');
+
+  const correction = router.recordCorrection(task, {
+    files: splitList(values.files),
+    added: splitList(values.add),
+    removed: splitList(values.remove)
+  });
+
+  console.log(chalk.green('✅ Correction recorded'));
+  if (correction.added.length > 0) console.log(`  ${chalk.gray('Added:')}   ${correction.added.join(', ')}`);
+  if (correction.removed.length > 0) console.log(`  ${chalk.gray('Removed:')} ${correction.removed.join(', ')}`);
+  if (correction.terms.length > 0) console.log(`  ${chalk.gray('Words:')}   ${correction.terms.join(', ')}`);
+  for (const { source, rule, agents } of correction.rules) {
+    console.log(`  ${chalk.gray('Rule:')}    ${source}: ${rule} ${chalk.gray(`(${agents.join(', ')})`)}`);
+  }
+}
+
+function list(router, path, values) {
+  const { corrections } = loadLearning(path);
+  const { associations, ruleFactors } = router.learned;
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify({ path, corrections: corrections.length, associations, ruleFactors }, null, 2) + '\n');
+    return;
+  }
+
+  console.log(chalk.blue.bold('\n🧠 Learned routing\n'));
+  console.log(`${chalk.gray('Store:')}       ${path}`);
+  console.log(`${chalk.gray('Corrections:')} ${corrections.length}`);
+  if (!router.routingRules.learning.enabled) {
+    console.log(chalk.yellow('Learning is disabled in .vibecode/routing.yml; these rules are not applied.'));
+  }
+
+  console.log(chalk.yellow('\nKeyword associations:'));
+  const agents = Object.keys(associations).sort();
+  if (agents.length === 0) console.log(chalk.gray('  (none)'));
+  for (const agent of agents) {
+    const terms = associations[agent].map(({ term, support }) => (support > 1 ? `${term} ×${support}` : term));
+    console.log(`  ${chalk.cyan(agent)}: ${terms.join(', ')}`);
+  }
+
+  console.log(chalk.yellow('\nRule weight factors:'));
+  const rules = Object.keys(ruleFactors).sort();
+  if (rules.length === 0) console.log(chalk.gray('  (none)'));
+  for (const rule of rules) {
+    const factors = Object.entries(ruleFactors[rule]).map(([agent, factor]) => `${agent} ×${Math.round(factor * 100) / 100}`);
+    console.log(`  ${rule} → ${factors.join(', ')}`);
+  }
+  console.log();
+}
+
+function reset(path, values) {
+  if (!existsSync(path)) {
+    console.log(chalk.gray('Nothing to reset.'));
+    return;
+  }
+
+  if (values.last) {
+    const store = loadLearning(path);
+    const removed = store.corrections.pop();
+    saveLearning(path, store);
+    console.log(removed ? chalk.green(`✅ Forgot the correction from ${removed.time}`) : chalk.gray('Nothing to reset.'));
+    return;
+  }
+
+  rmSync(path);
+  console.log(chalk.green('✅ Forgot every correction'));
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const router = new AgentRouter();
+  const path = join(router.projectRoot, router.routingRules.learning.path);
+
+  if (command === 'record') {
+    record(router, rest.join(' ').trim(), values);
+  } else if (command === 'list') {
+    list(router, path, values);
+  } else if (command === 'reset') {
+    reset(path, values);
+  } else {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  if (error instanceof UsageError) {
+    console.error(chalk.red(`❌ ${error.message}\n`));
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (error instanceof AgentMetadataError || error instanceof RoutingConfigError || error instanceof LearningError) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  throw error;
+}
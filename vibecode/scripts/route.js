@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+import { AgentRouter } from '../orchestrator/router.js';
+import { AgentMetadataError } from '../orchestrator/agent-metadata.js';
+import { RoutingConfigError } from '../orchestrator/routing-config.js';
+import { GitSourceError } from '../orchestrator/git-source.js';
+import { LearningError } from '../orchestrator/learning.js';
+import { SessionError } from '../orchestrator/session.js';
+
+/**
+ * Command-line front end for AgentRouter
+ * Prints the selected agents, execution plan and Task calls for a task
+ */
+
+const USAGE = `Usage: vibecode:route [options] <task description>
+
+Options:
+  -f, --files <list>    Comma-separated files touched by the task (repeatable)
+  -g, --git <source>    Read files from git: working, staged or base..head
+  -r, --range <range>   Same as --git with a commit range
+  -c, --chain <type>    Use an agent chain (or "auto" to infer one)
+      --no-parallel     Run agents in each phase sequentially
+      --stack           Analyze the project and route for its stack
+  -b, --budget <n>      Trim the plan to a context budget of <n> tokens
+  -l, --locale <code>   Task language (default: detected), e.g. en or nb
+  -s, --session         Inherit agents from recent turns and record this one
+      --no-session      Route without the session even when it is enabled
+      --json            Print the routing result and Task calls as JSON
+      --markdown        Print a Markdown summary (for PR comments)
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+  files: { type: 'string', short: 'f', multiple: true },
+  git: { type: 'string', short: 'g' },
+  range: { type: 'string', short: 'r' },
+  chain: { type: 'string', short: 'c' },
+  'no-parallel': { type: 'boolean', default: false },
+  stack: { type: 'boolean', default: false },
+  budget: { type: 'string', short: 'b' },
+  locale: { type: 'string', short: 'l' },
+  session: { type: 'boolean', short: 's' },
+  'no-session': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  markdown: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const task = positionals.join(' ').trim();
+  if (!task) throw new UsageError('Missing task description');
+  if (values.json && values.markdown) throw new UsageError('Use either --json or --markdown, not both');
+  if (values.git && values.range) throw new UsageError('Use either --git or --range, not both');
+  if (values.session && values['no-session']) throw new UsageError('Use either --session or --no-session, not both');
+
+  const budget = values.budget === undefined ? undefined : Number(values.budget);
+  if (budget !== undefined && (!Number.isInteger(budget) || budget < 1)) {
+    throw new UsageError('--budget must be a positive number of tokens');
+  }
+
+  return {
+    task,
+    format: values.json ? 'json' : values.markdown ? 'markdown' : 'human',
+    stack: values.stack,
+    context: {
+      files: (values.files || []).flatMap(list => list.split(',')).map(f => f.trim()).filter(Boolean),
+      git: values.git || values.range || null,
+      chainType: values.chain || null,
+      parallel: !values['no-parallel'],
+      ...(budget && { budget }),
+      ...(values.locale && { locale: values.locale.toLowerCase() }),
+      ...(values.session && { session: true }),
+      ...(values['no-session'] && { session: false })
+    }
+  };
+}
+
+function describeMode(result) {
+  if (result.type !== 'chain') return 'dynamic';
+  return result.inferred
+    ? `chain "${result.chainType}" (inferred from: ${result.inferred.matched.join(', ')})`
+    : `chain "${result.chainType}"`;
+}
+
+function describeCut(cut) {
+  const saved = `${cut.saved} tokens`;
+  if (cut.strategy === 'sections') return `${cut.agent}: relevant spec sections only (−${saved})`;
+  if (cut.strategy === 'merge') {
+    return `merged phases ${cut.phases.join(' and ')}${cut.sequential ? ', run in order' : ''} (−${saved})`;
+  }
+  return `dropped ${cut.agent}, score ${cut.score} (−${saved})`;
+}
+
+/**
+ * Summary of the calls that run as another agent, since a project without
+ * installed agents otherwise routes everything to general-purpose quietly
+ */
+function describeFallbacks(calls) {
+  const missing = [...new Set(calls.filter(call => call.fallbackFrom).map(call => call.fallbackFrom))];
+  if (missing.length === 0) return null;
+
+  const routed = new Set(calls.map(call => call.agent)).size;
+  return `${missing.length} of ${routed} routed agents are not installed and fall back to another agent, ` +
+    'with their own spec in the prompt. Install them into ~/.claude/agents with ' +
+    '`node .vibecode/scripts/install-global.js` (registry.sources lists where they are looked up).';
+}
+
+function describeBudget(budget) {
+  return `${budget.used}/${budget.limit} tokens (plan was ${budget.estimated})` +
+    (budget.within ? '' : ' – still over budget');
+}
+
+function formatHuman(task, result, calls) {
+  const lines = [];
+  const agents = result.executionPlan.flatMap(phase => phase.agents);
+
+  lines.push(chalk.blue.bold(`\n🤖 Routing: ${task}\n`));
+  lines.push(`${chalk.gray('Mode:')}     ${describeMode(result)}`);
+  lines.push(`${chalk.gray('Language:')} ${result.locale}`);
+  const stack = result.explain?.stack;
+  if (stack?.active.length > 0) {
+    lines.push(`${chalk.gray('Stack:')}    ${stack.active.join(', ')}`);
+  }
+  if (result.explain?.packages) {
+    lines.push(`${chalk.gray('Packages:')} ${result.explain.packages.join(', ')}`);
+  }
+  lines.push(`${chalk.gray('Agents:')}   ${agents.map(agent => chalk.cyan(agent)).join(', ')}`);
+  if (result.files.length > 0) {
+    lines.push(`${chalk.gray('Files:')}    ${result.files.length}`);
+  }
+  if (result.session?.turns > 0) {
+    const inherited = Object.entries(result.session.agents)
+      .map(([agent, { weight }]) => `${agent} ×${Math.round(weight * 100) / 100}`);
+    lines.push(`${chalk.gray('Session:')}  ${result.session.turns} earlier turn${result.session.turns === 1 ? '' : 's'} (${inherited.join(', ')})`);
+  }
+
+  lines.push(chalk.yellow('\nExecution plan:'));
+  result.executionPlan.forEach((phase, index) => {
+    const mode = phase.parallel ? 'parallel' : 'sequential';
+    lines.push(`  ${index + 1}. ${phase.agents.join(', ')} ${chalk.gray(`(${mode})`)}`);
+  });
+
+  for (const skip of result.skipped || []) {
+    lines.push(chalk.gray(`  – skipped ${skip.agents.join(', ')}: ${skip.reason}`));
+  }
+
+  if (result.budget) {
+    const summary = describeBudget(result.budget);
+    lines.push(chalk.yellow('\nContext budget: ') + (result.budget.within ? summary : chalk.red(summary)));
+    for (const cut of result.budget.cuts) {
+      lines.push(chalk.gray(`  – ${describeCut(cut)}`));
+    }
+  }
+
+  lines.push(chalk.yellow('\nTask calls:'));
+  for (const call of calls) {
+    const after = call.dependsOn.length > 0 ? chalk.gray(` after ${call.dependsOn.join(', ')}`) : '';
+    const fallback = call.fallbackFrom ? chalk.yellow(` (${call.fallbackFrom} not installed)`) : '';
+    lines.push(`  ${chalk.green(call.id)} → ${call.subagent_type}${fallback}${after}`);
+  }
+
+  const fallbacks = describeFallbacks(calls);
+  if (fallbacks) lines.push(chalk.yellow(`\n⚠️  ${fallbacks}`));
+
+  return lines.join('\n') + '\n';
+}
+
+function formatMarkdown(task, result, calls) {
+  const lines = [];
+
+  lines.push('## 🤖 Vibecode routing', '');
+  lines.push(`**Task:** ${task}`, '');
+  lines.push(`**Mode:** ${describeMode(result)}`, '');
+  lines.push(`**Language:** ${result.locale}`, '');
+
+  lines.push('| Phase | Agents | Mode |', '| --- | --- | --- |');
+  result.executionPlan.forEach((phase, index) => {
+    const agents = phase.agents.map(agent => `\`${agent}\``).join(', ');
+    lines.push(`| ${index + 1} | ${agents} | ${phase.parallel ? 'parallel' : 'sequential'} |`);
+  });
+
+  const routedFiles = (result.perFile || []).filter(entry => entry.agents.length > 0);
+  if (routedFiles.length > 0) {
+    lines.push('', '<details><summary>Files</summary>', '');
+    for (const entry of routedFiles) {
+      const pkg = entry.package ? ` (${entry.package})` : '';
+      lines.push(`- \`${entry.file}\`${pkg} → ${entry.agents.join(', ')}`);
+    }
+    lines.push('', '</details>');
+  }
+
+  if (result.budget) {
+    lines.push('', `**Context budget:** ${describeBudget(result.budget)}`);
+    if (result.budget.cuts.length > 0) {
+      lines.push('', ...result.budget.cuts.map(cut => `- ${describeCut(cut)}`));
+    }
+  }
+
+  const fallbacks = calls.filter(call => call.fallbackFrom);
+  if (fallbacks.length > 0) {
+    lines.push('', '**Not installed:** ' + fallbacks.map(call => `\`${call.fallbackFrom}\` → \`${call.subagent_type}\``).join(', '));
+    lines.push('', describeFallbacks(calls));
+  }
+
+  lines.push('', '<details><summary>Task calls</summary>', '');
+  for (const call of calls) {
+    lines.push(`### ${call.id}`, '', '```', call.prompt, '```', '');
+  }
+  lines.push('</details>');
+
+  return lines.join('\n') + '\n';
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(chalk.red(`❌ ${error.message}\n`));
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const { task, format, stack, context } = options;
+  const router = new AgentRouter();
+  const chains = Object.keys(router.routingRules.agentChains);
+  if (context.chainType && context.chainType !== 'auto' && !chains.includes(context.chainType)) {
+    console.error(chalk.red(`❌ Unknown chain "${context.chainType}"; available: auto, ${chains.join(', ')}`));
+    process.exit(2);
+  }
+  if (context.locale && !router.locales[context.locale]) {
+    console.error(chalk.red(`❌ Unknown locale "${context.locale}"; available: ${Object.keys(router.locales).join(', ')}`));
+    process.exit(2);
+  }
+
+  const result = stack ? await router.routeWithProject(task, context) : router.route(task, context);
+  const calls = router.generateTaskCalls(result, task);
+
+  if (format === 'json') {
+    process.stdout.write(JSON.stringify({ task, result, calls }, null, 2) + '\n');
+  } else if (format === 'markdown') {
+    process.stdout.write(formatMarkdown(task, result, calls));
+  } else {
+    process.stdout.write(formatHuman(task, result, calls));
+  }
+}
+
+main().catch(error => {
+  if (error instanceof AgentMetadataError || error instanceof RoutingConfigError || error instanceof GitSourceError ||
+      error instanceof LearningError || error instanceof SessionError) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  console.error(chalk.red(`❌ ${error.stack || error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'util';
+import { join } from 'path';
+import chalk from 'chalk';
+import { AgentRouter } from '../orchestrator/router.js';
+import { AgentMetadataError } from '../orchestrator/agent-metadata.js';
+import { RoutingConfigError } from '../orchestrator/routing-config.js';
+import { LearningError } from '../orchestrator/learning.js';
+import { SessionError, loadSession } from '../orchestrator/session.js';
+
+/**
+ * Sticky routing session
+ * Shows the agents and files follow-up tasks will inherit, or starts over
+ */
+
+const USAGE = `Usage:
+  vibecode:session show [--json]
+  vibecode:session reset
+
+Commands:
+  show     Show the recent turns and the weight each agent carries into the next task
+  reset    Forget the session; the next task routes without inherited agents`;
+
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+function show(router, path, values) {
+  const { turns } = loadSession(path);
+  const state = router.loadSessionState();
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify({ path, turns, ...state }, null, 2) + '\n');
+    return;
+  }
+
+  console.log(chalk.blue.bold('\n🧵 Routing session\n'));
+  console.log(`${chalk.gray('Session:')} ${path}`);
+  console.log(`${chalk.gray('Turns:')}   ${state.turns} in play (${turns.length} saved)`);
+  if (!router.routingRules.session.enabled) {
+    console.log(chalk.yellow('Sessions are off in .vibecode/routing.yml; only `vibecode:route --session` uses them.'));
+  }
+
+  console.log(chalk.yellow('\nInherited agents:'));
+  const agents = Object.entries(state.agents);
+  if (agents.length === 0) console.log(chalk.gray('  (none)'));
+  for (const [agent, { weight, turn }] of agents) {
+    console.log(`  ${chalk.cyan(agent)} ×${Math.round(weight * 100) / 100} ${chalk.gray(`(turn -${turn})`)}`);
+  }
+
+  console.log(chalk.yellow('\nFiles:'));
+  if (state.files.length === 0) console.log(chalk.gray('  (none)'));
+  for (const file of state.files) console.log(`  - ${file}`);
+  console.log();
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const router = new AgentRouter();
+  const path = join(router.projectRoot, router.routingRules.session.path);
+
+  if (command === 'show') {
+    show(router, path, values);
+  } else if (command === 'reset') {
+    console.log(router.resetSession() ? chalk.green('✅ Session reset') : chalk.gray('No session to reset.'));
+  } else {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  if (error instanceof UsageError) {
+    console.error(chalk.red(`❌ ${error.message}\n`));
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (error instanceof AgentMetadataError || error instanceof RoutingConfigError ||
+      error instanceof LearningError || error instanceof SessionError) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  throw error;
+}
@@ -3,17 +3,52 @@
 import { readFileSync, writeFileSync, cpSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import { glob } from 'glob';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
+import { AgentRouter } from '../orchestrator/router.js';
+import { DETECTION_FIELDS, describeEvidence } from '../orchestrator/detections.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const projectRoot = process.cwd();
 
+// The template, agents and options picked during setup, reused by --regenerate
+const SETUP_CHOICES_PATH = join('.vibecode', 'setup.json');
+
+const USAGE = `Usage: vibecode:setup [options]
+
+Options:
+      --regenerate      Write the Cursor files again from ${SETUP_CHOICES_PATH}, without prompting
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+  regenerate: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
 /**
  * Setup Vibecode Cursor for a project
  */
 async function setup() {
+  let values;
+  try {
+    ({ values } = parseArgs({ options: OPTIONS }));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}\n`));
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (values.regenerate) {
+    await regenerate();
+    return;
+  }
+
   console.log(chalk.magenta.bold('\n📝 Vibecode Cursor Edition - Intelligent .cursorrules Generator\n'));
 
   // Step 1: Detect project type
@@ -23,6 +58,10 @@ async function setup() {
   console.log(chalk.green('✅ Project detected!\n'));
   console.log('Type:', chalk.cyan(projectInfo.type));
   console.log('Stack:', chalk.cyan(projectInfo.stack.join(', ') || 'None'));
+  if (projectInfo.packages.length > 0) {
+    console.log('Workspace:', chalk.cyan(projectInfo.workspaceTools.join(', ')));
+    projectInfo.packages.forEach(pkg => console.log(`  ${chalk.cyan(pkg.path)}: ${pkg.agents.join(', ') || 'no stack-specific agents'}`));
+  }
 
   // Step 2: Select configuration template
   const { template } = await inquirer.prompt([
@@ -78,6 +117,52 @@ async function setup() {
     }
   ]);
 
+  // Remembered so --regenerate can rewrite the files without prompting
+  const choices = { template, agents: selectedAgents, options };
+  mkdirSync(dirname(join(projectRoot, SETUP_CHOICES_PATH)), { recursive: true });
+  writeFileSync(join(projectRoot, SETUP_CHOICES_PATH), JSON.stringify(choices, null, 2) + '\n');
+  await writeCursorFiles(choices, projectInfo);
+
+  // Success!
+  console.log(chalk.green.bold('\n✨ Vibecode Cursor setup complete!\n'));
+  console.log('Generated files:');
+  console.log('  •', chalk.cyan('.cursorrules'), '- Cursor IDE rules with agent instructions');
+  console.log('  •', chalk.cyan('.cursor/context.md'), '- Project context for agents');
+  console.log('  •', chalk.cyan('.cursor/composer-prompts.md'), '- Ready-to-use Composer prompts');
+  console.log('  •', chalk.cyan('.cursor/agents/'), '- Agent specifications');
+  if (projectInfo.packages.length > 0) {
+    console.log('  •', chalk.cyan('.cursor/rules/'), '- Rules scoped to each workspace package');
+  }
+
+  console.log('\nNext steps:');
+  console.log('1. Open your project in Cursor');
+  console.log('2. Cursor will automatically use .cursorrules');
+  console.log('3. Reference agents in Composer: @agent-name');
+  console.log('4. Use prompts from composer-prompts.md');
+}
+
+/**
+ * Write the Cursor files again from the saved choices and a fresh analysis,
+ * without prompting (vibecode:analyze --watch --regenerate runs this)
+ */
+async function regenerate() {
+  const choicesPath = join(projectRoot, SETUP_CHOICES_PATH);
+  if (!existsSync(choicesPath)) {
+    throw new Error(`${SETUP_CHOICES_PATH} not found; run npm run vibecode:setup first`);
+  }
+  const choices = JSON.parse(readFileSync(choicesPath, 'utf8'));
+
+  console.log(chalk.yellow('🔄 Regenerating Cursor files...'));
+  const projectInfo = await analyzeProject();
+  await writeCursorFiles(choices, projectInfo);
+  console.log(chalk.green('✅ Cursor files regenerated'));
+}
+
+/**
+ * Copy the agent specs and generate the Cursor files for the chosen
+ * template, agents and options
+ */
+async function writeCursorFiles({ template, agents: selectedAgents, options }, projectInfo) {
   // Step 5: Use agent files from .vibecode/agents (already included in package)
   console.log(chalk.yellow('\n📦 Setting up agent definitions...'));
   const vibecodeAgentsPath = join(__dirname, '..', 'agents');
@@ -85,7 +170,9 @@ async function setup() {
 
   mkdirSync(cursorAgentsPath, { recursive: true });
 
-  for (const agent of selectedAgents) {
+  // Package rules point at their agents' specs, so copy those too
+  const packageAgents = projectInfo.packages.flatMap(pkg => pkg.agents);
+  for (const agent of new Set([...selectedAgents, ...packageAgents])) {
     const agentFile = `${agent}.md`;
     const sourcePath = join(vibecodeAgentsPath, agentFile);
     const targetPath = join(cursorAgentsPath, agentFile);
@@ -112,19 +199,14 @@ async function setup() {
   const composerPrompts = generateComposerPrompts(selectedAgents, template);
   writeFileSync(join(projectRoot, '.cursor', 'composer-prompts.md'), composerPrompts);
 
-  // Success!
-  console.log(chalk.green.bold('\n✨ Vibecode Cursor setup complete!\n'));
-  console.log('Generated files:');
-  console.log('  •', chalk.cyan('.cursorrules'), '- Cursor IDE rules with agent instructions');
-  console.log('  •', chalk.cyan('.cursor/context.md'), '- Project context for agents');
-  console.log('  •', chalk.cyan('.cursor/composer-prompts.md'), '- Ready-to-use Composer prompts');
-  console.log('  •', chalk.cyan('.cursor/agents/'), '- Agent specifications');
-
-  console.log('\nNext steps:');
-  console.log('1. Open your project in Cursor');
-  console.log('2. Cursor will automatically use .cursorrules');
-  console.log('3. Reference agents in Composer: @agent-name');
-  console.log('4. Use prompts from composer-prompts.md');
+  // Step 9: Generate rules scoped to each workspace package
+  if (projectInfo.packages.length > 0) {
+    console.log(chalk.yellow('📦 Generating package rules...'));
+    mkdirSync(join(projectRoot, '.cursor', 'rules'), { recursive: true });
+    for (const pkg of projectInfo.packages) {
+      writeFileSync(join(projectRoot, '.cursor', 'rules', `${packageRuleName(pkg)}.mdc`), generatePackageRules(pkg));
+    }
+  }
 }
 
 /**
@@ -195,6 +277,17 @@ async function analyzeProject() {
     info.type = 'web';
   }
 
+  // Every detected stack with its evidence, and the workspace packages of a
+  // monorepo with the agents each package's own stack calls for
+  const analyzer = new AgentRouter({ projectRoot }).createAnalyzer();
+  const { workspace, detections } = await analyzer.analyze();
+  info.detections = detections;
+  info.packages = analyzer.getPackageRecommendations();
+  info.workspaceTools = workspace?.tools || [];
+  if (workspace) {
+    info.type = 'monorepo';
+  }
+
   return info;
 }
 
@@ -403,6 +496,16 @@ When working on specific file types, follow these agent guidelines:
     }
   }
 
+  if (projectInfo.packages.length > 0) {
+    rules += `
+
+## Workspace Packages
+
+This is a monorepo (${projectInfo.workspaceTools.join(', ')}). Files of a package follow its own agents (see .cursor/rules/):
+
+${describePackages(projectInfo.packages)}`;
+  }
+
   rules += `
 
 ## Task-Based Agent Selection
@@ -439,6 +542,60 @@ For specific tasks, consult these agents:
   return rules;
 }
 
+/**
+ * List every detected stack with its confidence and first piece of evidence
+ */
+function describeDetections(detections) {
+  return DETECTION_FIELDS
+    .filter(field => detections[field].length > 0)
+    .map(field => {
+      const found = detections[field].map(({ value, confidence, evidence }) =>
+        `${value} (${Math.round(confidence * 100)}%, ${describeEvidence(evidence[0])})`
+      );
+      return `- **${field}**: ${found.join(', ')}`;
+    })
+    .join('\n') + '\n';
+}
+
+/**
+ * List workspace packages with their agents
+ */
+function describePackages(packages) {
+  return packages
+    .map(pkg => `- **${pkg.path}/** (${pkg.name}, ${pkg.type}): ${pkg.agents.map(agent => `@${agent}`).join(', ') || 'general guidelines'}`)
+    .join('\n') + '\n';
+}
+
+/**
+ * File name of a package's rule file: "@acme/ui" → "package-acme-ui"
+ */
+function packageRuleName(pkg) {
+  return `package-${pkg.name.replace(/^@/, '').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`;
+}
+
+/**
+ * Generate a Cursor project rule that applies to one workspace package's files
+ */
+function generatePackageRules(pkg) {
+  const agents = pkg.agents.length > 0
+    ? pkg.agents.map(agent => `- **${formatAgentName(agent)}**: @${agent} (.cursor/agents/${agent}.md)`).join('\n')
+    : '- No stack-specific agents; follow the project-wide rules in .cursorrules';
+
+  return `---
+description: ${JSON.stringify(`${pkg.name} package (${pkg.type})`)}
+globs: ${pkg.path}/**
+alwaysApply: false
+---
+
+# ${pkg.name}
+
+Files under ${pkg.path}/ belong to the ${pkg.name} package (${pkg.type}).
+Apply these agents' guidelines when working on them:
+
+${agents}
+`;
+}
+
 /**
  * Extract agent summary from markdown
  */
@@ -485,11 +642,17 @@ function generateCursorContext(agents, projectInfo) {
 - **Type**: ${projectInfo.type}
 - **Stack**: ${projectInfo.stack.join(', ')}
 - **Agents**: ${agents.length} specialized agents configured
+${DETECTION_FIELDS.some(field => projectInfo.detections[field].length > 0) ? `
+## Detected Stack
 
+${describeDetections(projectInfo.detections)}` : ''}
 ## Active Agents
 
 ${agents.map(agent => `- **${formatAgentName(agent)}**: @${agent}`).join('\n')}
+${projectInfo.packages.length > 0 ? `
+## Workspace Packages
 
+${describePackages(projectInfo.packages)}` : ''}
 ## How to Use Agents in Cursor
 
 ### In Composer:
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'util';
+import { join } from 'path';
+import chalk from 'chalk';
+import { AgentRouter } from '../orchestrator/router.js';
+import { AgentMetadataError } from '../orchestrator/agent-metadata.js';
+import { RoutingConfigError, ROUTING_CONFIG_PATH } from '../orchestrator/routing-config.js';
+import { readDecisionLog, summarizeDecisions } from '../orchestrator/decision-log.js';
+import { LearningError } from '../orchestrator/learning.js';
+
+/**
+ * Routing statistics
+ * Summarizes the local routing decision log against the current routing rules
+ */
+
+const USAGE = `Usage: vibecode:stats [options]
+
+Options:
+      --log <path>   Read this log instead of the configured one
+      --top <n>      Number of rules and agents to list (default 10)
+      --json         Print the summary as JSON
+  -h, --help         Show this help`;
+
+const OPTIONS = {
+  log: { type: 'string' },
+  top: { type: 'string', default: '10' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Every rule the router can fire, in the { source, rule } form the log records,
+ * with the origin of each: built-in, an agent's frontmatter, routing.yml, a
+ * locale's keyword table or the learned rules
+ */
+function listRoutingRules(router) {
+  const { routingRules } = router;
+  const builtIn = router.loadRoutingRules();
+  const withTriggers = router.applyAgentTriggers(router.loadRoutingRules(), router.agentCapabilities);
+  const origin = (section, rule) => {
+    if (rule in builtIn[section]) return 'built-in';
+    if (rule in withTriggers[section]) return 'agent frontmatter';
+    return ROUTING_CONFIG_PATH;
+  };
+
+  return [
+    ...Object.keys(routingRules.taskKeywords).map(rule => ({ source: 'keyword', rule, origin: origin('taskKeywords', rule) })),
+    ...Object.entries(router.locales).flatMap(([code, locale]) =>
+      Object.keys(locale.keywords).map(rule => ({ source: 'keyword', rule, origin: `locale ${code}` }))
+    ),
+    ...Object.values(router.learned.associations).map(terms => ({
+      source: 'learned',
+      rule: terms.map(t => t.term).join('|'),
+      origin: 'learned'
+    })),
+    ...Object.keys(routingRules.filePatterns).map(rule => ({
+      source: rule.startsWith('!') ? 'file-exclusion' : 'file',
+      rule,
+      origin: origin('filePatterns', rule)
+    })),
+    ...Object.keys(routingRules.chainTriggers).map(rule => ({ source: 'chain-trigger', rule, origin: origin('chainTriggers', rule) }))
+  ];
+}
+
+function formatSummary(summary, logPath, top) {
+  const lines = [];
+  const percent = value => `${Math.round(value * 100)}%`;
+
+  lines.push(chalk.blue.bold('\n📊 Routing statistics\n'));
+  lines.push(`${chalk.gray('Log:')}        ${logPath}`);
+  lines.push(`${chalk.gray('Decisions:')}  ${summary.decisions}${summary.from ? chalk.gray(` (${summary.from} → ${summary.to})`) : ''}`);
+  lines.push(`${chalk.gray('Chains:')}     ${summary.chains} (${percent(summary.chains / summary.decisions)})`);
+  lines.push(`${chalk.gray('Fallbacks:')}  ${summary.fallbacks} to general-purpose (${percent(summary.fallbackRate)})`);
+
+  const origin = rule => (rule.origin ? chalk.gray(` (${rule.origin})`) : '');
+
+  lines.push(chalk.yellow(`\nMost-fired rules:`));
+  for (const rule of summary.rules.slice(0, top)) {
+    lines.push(`  ${String(rule.count).padStart(5)}  ${rule.name}${origin(rule)}`);
+  }
+
+  lines.push(chalk.yellow(`\nMost-selected agents:`));
+  for (const { name, count } of summary.agents.slice(0, top)) {
+    lines.push(`  ${String(count).padStart(5)}  ${name}`);
+  }
+
+  lines.push(chalk.yellow('\nPlan shapes') + chalk.gray(' (agents per phase, p = parallel, s = sequential):'));
+  for (const { name, count } of summary.planShapes.slice(0, top)) {
+    lines.push(`  ${String(count).padStart(5)}  ${name}`);
+  }
+
+  lines.push(chalk.yellow(`\nNever-fired rules (${summary.neverFired.length}):`));
+  lines.push(...summary.neverFired.map(rule => `  - ${rule.name}${origin(rule)}`));
+
+  lines.push(chalk.yellow(`\nNever-selected agents (${summary.neverSelected.length}):`));
+  lines.push(...summary.neverSelected.map(name => `  - ${name}`));
+
+  return lines.join('\n') + '\n';
+}
+
+function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: process.argv.slice(2), options: OPTIONS }));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}\n`));
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const top = Number(values.top);
+  if (!Number.isInteger(top) || top < 1) {
+    console.error(chalk.red('❌ --top must be a positive integer'));
+    process.exit(2);
+  }
+
+  const router = new AgentRouter();
+  const logPath = values.log || join(router.projectRoot, router.routingRules.log.path);
+  const { entries, malformed } = readDecisionLog(logPath);
+
+  if (entries.length === 0) {
+    console.error(chalk.yellow(`No routing decisions in ${logPath}.`));
+    console.error('Enable the log with `log: { enabled: true }` in .vibecode/routing.yml.');
+    process.exit(1);
+  }
+  if (malformed > 0) {
+    console.error(chalk.yellow(`⚠️  Skipped ${malformed} malformed line${malformed === 1 ? '' : 's'} in ${logPath}`));
+  }
+
+  const summary = summarizeDecisions(entries, {
+    rules: listRoutingRules(router),
+    agents: Object.keys(router.agentCapabilities)
+  });
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+  } else {
+    process.stdout.write(formatSummary(summary, logPath, top));
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  if (error instanceof AgentMetadataError || error instanceof RoutingConfigError || error instanceof LearningError) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  throw error;
+}